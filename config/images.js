@@ -0,0 +1,25 @@
+// Listing image processing: every uploaded gallery image is re-encoded
+// without metadata into these renditions and watermarked.
+const images = {
+  // Longest side in pixels of each rendition
+  renditions: {
+    thumbnail: 320,
+    medium: 800,
+    large: 1600
+  },
+  quality: parseInt(process.env.IMAGE_QUALITY, 10) || 82,
+
+  watermark: {
+    enabled: process.env.WATERMARK_ENABLED !== 'false',
+    text: process.env.WATERMARK_TEXT || 'Locatex',
+    // PNG logo to use instead of the text
+    imagePath: process.env.WATERMARK_IMAGE || null,
+    opacity: parseFloat(process.env.WATERMARK_OPACITY) || 0.4,
+    // Watermark width as a share of the image width
+    scale: 0.25,
+    // Renditions narrower than this (thumbnails) are left unmarked
+    minWidth: 400
+  }
+};
+
+module.exports = images;
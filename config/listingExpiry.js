@@ -0,0 +1,32 @@
+// How long an approved listing stays published before it must be renewed.
+// Status rules win over type rules; LISTING_EXPIRY_DAYS changes the default.
+const listingExpiry = {
+  defaultDays: parseInt(process.env.LISTING_EXPIRY_DAYS, 10) || 90,
+  byStatus: {
+    'for-rent': 60
+  },
+  byType: {
+    land: 180,
+    industrial: 180,
+    commercial: 120
+  },
+  // Owners are emailed this many days before their listing expires
+  reminderDays: parseInt(process.env.LISTING_EXPIRY_REMINDER_DAYS, 10) || 7
+};
+
+// Number of days a listing of the given type and status stays live
+const getListingLifetimeDays = (type, status) =>
+  listingExpiry.byStatus[status] || listingExpiry.byType[type] || listingExpiry.defaultDays;
+
+// Expiry date for a listing going live (or renewed) at `from`
+const getExpiryDate = (type, status, from = new Date()) => {
+  const expiresAt = new Date(from);
+  expiresAt.setDate(expiresAt.getDate() + getListingLifetimeDays(type, status));
+  return expiresAt;
+};
+
+module.exports = {
+  listingExpiry,
+  getListingLifetimeDays,
+  getExpiryDate
+};
@@ -0,0 +1,14 @@
+// How views of a listing are counted. Each viewer (a logged-in user, or an
+// anonymous browser told apart by IP address and user agent) adds at most one
+// view per listing per dedup window. View events are kept for the retention
+// period, which also bounds the daily view stats and recently viewed lists.
+const propertyViews = {
+  dedupWindowMinutes: parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES, 10) || 24 * 60,
+  retentionDays: parseInt(process.env.VIEW_RETENTION_DAYS, 10) || 365,
+  // Days of the daily view stats are cut in this timezone
+  timezone: process.env.VIEW_STATS_TIMEZONE || 'Asia/Kolkata'
+};
+
+module.exports = {
+  propertyViews
+};
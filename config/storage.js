@@ -0,0 +1,24 @@
+const path = require('path');
+const apiUrl = require('../utils/apiUrl');
+
+// Uploads go to Cloudinary when it is configured and to the local disk
+// otherwise; STORAGE_DRIVER picks one explicitly.
+const storage = {
+  driver: process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local'),
+
+  local: {
+    // Files are kept under <root>/public and <root>/private
+    root: process.env.UPLOAD_DIR
+      ? path.resolve(process.env.UPLOAD_DIR)
+      : path.join(__dirname, '..', 'uploads'),
+    // Address the API is reached at, used to build absolute file URLs
+    baseUrl: apiUrl(),
+    routePath: '/uploads'
+  },
+
+  // Lifetime of signed links to private files
+  signedUrlSeconds: parseInt(process.env.SIGNED_URL_SECONDS, 10) || 15 * 60,
+  signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+};
+
+module.exports = storage;
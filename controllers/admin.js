@@ -1,21 +1,95 @@
+const mongoose = require('mongoose');
 const Property = require('../models/Property');
 const User = require('../models/User');
+const Agent = require('../models/Agent');
+const Contact = require('../models/Contact');
+const PropertyRevision = require('../models/PropertyRevision');
+const PropertyRedirect = require('../models/PropertyRedirect');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const Notification = require('../models/Notification');
+const PropertyView = require('../models/PropertyView');
+const SavedSearch = require('../models/SavedSearch');
+const { getExpiryDate } = require('../config/listingExpiry');
+const { getSignedUrl } = require('../utils/storage');
+const { EXPORT_FORMATS, exportFormat, streamPropertyExport } = require('../utils/propertyExport');
+const { snapshotListing, notifyFavoriteWatchers } = require('../utils/favoriteNotifications');
 const { validationResult } = require('express-validator');
 
+// Stored duplicate matches of a queued listing (possibleDuplicates populated),
+// best match first. Deleted and rejected listings are left out.
+const queuedDuplicates = (property) => property.possibleDuplicates
+  .filter(match => match.property && match.property.approvalStatus !== 'rejected')
+  .sort((a, b) => b.score - a.score)
+  .map(match => ({
+    property: match.property._id,
+    title: match.property.title,
+    approvalStatus: match.property.approvalStatus,
+    owner: match.property.owner,
+    score: match.score,
+    reasons: match.reasons
+  }));
+
+// Stored photo conflicts of a queued listing (imageConflicts populated),
+// closest first. Photos since removed from either listing are left out.
+const queuedImageConflicts = (property) => property.imageConflicts
+  .map(conflict => {
+    const other = conflict.property;
+    const image = property.images.find(own => own._id.equals(conflict.image));
+    const matched = other && conflict.matchedImage
+      ? other.images.find(photo => photo._id.equals(conflict.matchedImage))
+      : null;
+    if (!other || !image || (conflict.matchedImage && !matched)) return null;
+
+    return {
+      image: conflict.image,
+      imageUrl: image.url,
+      property: other._id,
+      title: other.title,
+      approvalStatus: other.approvalStatus,
+      owner: conflict.owner,
+      matchedImageUrl: matched ? matched.url : undefined,
+      link: `/api/properties/${other._id}`,
+      distance: conflict.distance
+    };
+  })
+  .filter(Boolean)
+  .sort((a, b) => a.distance - b.distance);
+
 // @desc    Get all pending properties
 // @route   GET /api/admin/properties/pending
 // @access  Private (Admin only)
 const getPendingProperties = async (req, res) => {
   try {
-    const properties = await Property.find({ approvalStatus: 'pending' })
+    // New listings awaiting approval and approved listings with edits awaiting review,
+    // with the duplicate and photo matches flagged when either listing was submitted
+    const properties = await Property.find({
+      $or: [
+        { approvalStatus: 'pending' },
+        { 'pendingChanges.status': 'pending' }
+      ]
+    })
       .populate('owner', 'name email phone')
       .populate('agent', 'name email phone')
+      .populate('pendingChanges.requestedBy', 'name email')
+      .populate('possibleDuplicates.property', 'title approvalStatus owner')
+      .populate('imageConflicts.property', 'title approvalStatus images')
       .sort({ createdAt: -1 });
 
+    const queue = properties.map(property => ({
+      ...property.toJSON(),
+      pendingChanges: property.pendingChangesJSON(),
+      reviewType: property.approvalStatus === 'pending' ? 'new-listing' : 'change-request',
+      duplicates: queuedDuplicates(property),
+      imageConflicts: queuedImageConflicts(property)
+    }));
+
     res.status(200).json({
       success: true,
-      count: properties.length,
-      data: properties
+      count: queue.length,
+      changeRequests: queue.filter(item => item.reviewType === 'change-request').length,
+      possibleDuplicates: queue.filter(item => item.duplicates.length > 0).length,
+      imageConflicts: queue.filter(item => item.imageConflicts.length > 0).length,
+      data: queue
     });
   } catch (error) {
     console.error('Get pending properties error:', error);
@@ -26,18 +100,22 @@ const getPendingProperties = async (req, res) => {
   }
 };
 
+// Filter of the admin property list from its status, approvalStatus and type query
+const adminPropertiesFilter = ({ status, approvalStatus, type }) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (approvalStatus) filter.approvalStatus = approvalStatus;
+  if (type) filter.type = type;
+  return filter;
+};
+
 // @desc    Get all properties with filters
 // @route   GET /api/admin/properties
 // @access  Private (Admin only)
 const getAllProperties = async (req, res) => {
   try {
-    const { status, approvalStatus, type, page = 1, limit = 10 } = req.query;
-    
-    // Build filter object
-    const filter = {};
-    if (status) filter.status = status;
-    if (approvalStatus) filter.approvalStatus = approvalStatus;
-    if (type) filter.type = type;
+    const { page = 1, limit = 10 } = req.query;
+    const filter = adminPropertiesFilter(req.query);
 
     const properties = await Property.find(filter)
       .populate('owner', 'name email phone')
@@ -66,6 +144,34 @@ const getAllProperties = async (req, res) => {
   }
 };
 
+// @desc    Export properties as CSV, XLSX or NDJSON
+// @route   GET /api/admin/properties/export
+// @access  Private (Admin only)
+const exportProperties = async (req, res) => {
+  try {
+    const format = exportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    await streamPropertyExport(res, {
+      filter: adminPropertiesFilter(req.query),
+      format,
+      filename: 'properties'
+    });
+  } catch (error) {
+    console.error('Export properties error:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting properties'
+    });
+  }
+};
+
 // @desc    Approve a property
 // @route   PUT /api/admin/properties/:id/approve
 // @access  Private (Admin only)
@@ -87,14 +193,26 @@ const approveProperty = async (req, res) => {
       });
     }
 
+    const before = snapshotListing(property);
+
     // Update property status
     property.approvalStatus = 'approved';
     property.approvedBy = req.user.id;
     property.approvedAt = new Date();
     property.isPublished = true;
+    property.expiresAt = getExpiryDate(property.type, property.status);
+    property.expiryReminderSentAt = undefined;
+    property.expiredAt = undefined;
 
     await property.save();
 
+    await PropertyRevision.record(property, 'approve', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    // Users who saved the listing are told in the background
+    notifyFavoriteWatchers(before, property)
+      .catch(error => console.error('Favorite notifications error:', error));
+
     res.status(200).json({
       success: true,
       message: 'Property approved successfully',
@@ -139,6 +257,8 @@ const rejectProperty = async (req, res) => {
       });
     }
 
+    const before = snapshotListing(property);
+
     // Update property status
     property.approvalStatus = 'rejected';
     property.approvedBy = req.user.id;
@@ -148,6 +268,13 @@ const rejectProperty = async (req, res) => {
 
     await property.save();
 
+    await PropertyRevision.record(property, 'reject', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    // Users who saved the listing are told in the background
+    notifyFavoriteWatchers(before, property)
+      .catch(error => console.error('Favorite notifications error:', error));
+
     res.status(200).json({
       success: true,
       message: 'Property rejected successfully',
@@ -162,6 +289,628 @@ const rejectProperty = async (req, res) => {
   }
 };
 
+// @desc    Approve pending changes to an approved property
+// @route   PUT /api/admin/properties/:id/changes/approve
+// @access  Private (Admin only)
+const approvePropertyChanges = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (!property.pendingChanges || property.pendingChanges.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Property has no pending changes'
+      });
+    }
+
+    const before = snapshotListing(property);
+
+    const { fields, requestedBy } = property.pendingChanges;
+    Object.keys(fields || {}).forEach(field => {
+      property.set(field, fields[field]);
+    });
+    property.pendingChanges = undefined;
+
+    // Price history credits the owner who asked for the change
+    property.$locals.changedBy = requestedBy;
+    await property.save();
+
+    await PropertyRevision.record(property, 'approve', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    // Users who saved the listing are told in the background
+    notifyFavoriteWatchers(before, property)
+      .catch(error => console.error('Favorite notifications error:', error));
+
+    res.status(200).json({
+      success: true,
+      message: 'Property changes approved successfully',
+      data: property
+    });
+  } catch (error) {
+    console.error('Approve property changes error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Changes cannot be applied: ' + Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving property changes'
+    });
+  }
+};
+
+// @desc    Reject pending changes to an approved property
+// @route   PUT /api/admin/properties/:id/changes/reject
+// @access  Private (Admin only)
+const rejectPropertyChanges = async (req, res) => {
+  try {
+    const { rejectionReason } = req.body;
+
+    if (!rejectionReason || rejectionReason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (!property.pendingChanges || property.pendingChanges.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Property has no pending changes'
+      });
+    }
+
+    // Keep the rejected values so the owner can see what was turned down
+    property.pendingChanges.status = 'rejected';
+    property.pendingChanges.reviewedBy = req.user.id;
+    property.pendingChanges.reviewedAt = new Date();
+    property.pendingChanges.rejectionReason = rejectionReason;
+
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Property changes rejected successfully',
+      data: property
+    });
+  } catch (error) {
+    console.error('Reject property changes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting property changes'
+    });
+  }
+};
+
+// Moderation and system fields a restore leaves as they are. Images and
+// documents stay too: files removed since (see deletePropertyImage) are gone
+// from storage and would come back as broken entries.
+const RESTORE_PRESERVED_FIELDS = [
+  'images',
+  'documents',
+  'owner',
+  'approvalStatus',
+  'approvedBy',
+  'approvedAt',
+  'rejectionReason',
+  'isPublished',
+  'isFeatured',
+  'priceReduction',
+  'expiresAt',
+  'expiryReminderSentAt',
+  'expiredAt',
+  'closing',
+  'possibleDuplicates',
+  'imageConflicts'
+];
+
+// @desc    Restore a property to a previous revision
+// @route   POST /api/admin/properties/:id/revisions/:revisionId/restore
+// @access  Private (Admin only)
+const restorePropertyRevision = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const revision = await PropertyRevision.findOne({
+      _id: req.params.revisionId,
+      property: property._id
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const before = snapshotListing(property);
+
+    // Every top level field of the snapshot, clearing fields the revision didn't have
+    const current = PropertyRevision.snapshotOf(property);
+    const fields = new Set([...Object.keys(current), ...Object.keys(revision.snapshot)]);
+    const closedStatuses = ['sold', 'rented'];
+    const changesClosing = closedStatuses.includes(property.status) ||
+      closedStatuses.includes(revision.snapshot.status);
+    fields.forEach(field => {
+      if (RESTORE_PRESERVED_FIELDS.includes(field)) return;
+      // Listings are only closed through the close flow and reopened through
+      // the reopen action, which keep the agent's counters right
+      if (field === 'status' && changesClosing) return;
+      property.set(field, revision.snapshot[field]);
+    });
+
+    property.$locals.changedBy = req.user.id;
+    await property.save();
+
+    const restored = await PropertyRevision.record(property, 'restore', req.user.id, {
+      restoredFrom: revision._id
+    });
+
+    // Users who saved the listing are told in the background
+    notifyFavoriteWatchers(before, property)
+      .catch(error => console.error('Favorite notifications error:', error));
+
+    res.status(200).json({
+      success: true,
+      message: `Property restored to revision ${revision.version}`,
+      data: {
+        property,
+        revision: restored
+      }
+    });
+  } catch (error) {
+    console.error('Restore property revision error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision cannot be restored: ' + Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring property revision'
+    });
+  }
+};
+
+// @desc    Reopen a sold or rented listing
+// @route   PUT /api/admin/properties/:id/reopen
+// @access  Private (Admin only)
+const reopenProperty = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    if (!['sold', 'rented'].includes(property.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only sold or rented properties can be reopened'
+      });
+    }
+
+    const closing = property.closing || {};
+    const status = property.status === 'rented' ? 'for-rent' : 'for-sale';
+    // Closings recorded before creditedAgent was stored credited the listing agent
+    const creditedAgent = closing.outcome === 'sold' ? closing.creditedAgent || property.agent : null;
+
+    // Reopening the listing and taking the sale off the agent commit together
+    let reopened;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        reopened = await Property.findOneAndUpdate(
+          { _id: property._id, status: property.status },
+          { $set: { status, isPublished: true }, $unset: { closing: 1 } },
+          { new: true, session }
+        );
+
+        if (reopened && creditedAgent) {
+          await Agent.updateOne(
+            { _id: creditedAgent },
+            { $inc: { propertiesSold: -1, totalSales: -(closing.price || 0) } },
+            { session }
+          );
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!reopened) {
+      return res.status(409).json({
+        success: false,
+        message: 'Property was changed by another request'
+      });
+    }
+
+    await PropertyRevision.record(reopened, 'reopen', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    res.status(200).json({
+      success: true,
+      message: `Property reopened as ${status}`,
+      data: {
+        property: reopened
+      }
+    });
+  } catch (error) {
+    console.error('Reopen property error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reopening property'
+    });
+  }
+};
+
+// Merge listing `duplicateId` into `canonicalId` within `session`: images,
+// documents and document access grants move over, favorites (collections and
+// legacy User.favorites), inquiries, view history and redirects are pointed at
+// the canonical listing and the duplicate is deleted. Returns null when either
+// listing is gone.
+const mergeListings = async (duplicateId, canonicalId, userId, session) => {
+  const [duplicate, canonical] = await Promise.all([
+    Property.findById(duplicateId).session(session),
+    Property.findById(canonicalId).session(session)
+  ]);
+  if (!duplicate || !canonical) return null;
+
+  // Images, documents and grants the canonical listing doesn't already have
+  const imageUrls = new Set(canonical.images.map(image => image.url));
+  const images = duplicate.images
+    .filter(image => !imageUrls.has(image.url))
+    .map(image => ({
+      url: image.url,
+      alt: image.alt,
+      isPrimary: false,
+      renditions: image.toObject().renditions,
+      hash: image.hash,
+      storedFiles: image.storedFiles
+    }));
+  canonical.images.push(...images);
+
+  const documentFiles = new Set(canonical.documents.map(document => document.key || document.url));
+  const documents = duplicate.documents.filter(document => !documentFiles.has(document.key || document.url));
+  canonical.documents.push(...documents.map(document => document.toObject()));
+
+  const granted = new Set(canonical.documentAccess.map(grant => String(grant.user)));
+  canonical.documentAccess.push(...duplicate.documentAccess
+    .filter(grant => !granted.has(String(grant.user)))
+    .map(grant => grant.toObject()));
+
+  canonical.views = Math.max(canonical.views || 0, duplicate.views || 0);
+  canonical.possibleDuplicates = canonical.possibleDuplicates
+    .filter(match => String(match.property) !== String(duplicate._id));
+
+  await canonical.save({ session });
+
+  // Point favorites, inquiries and view history at the surviving listing; lists that
+  // already hold it just lose the duplicate
+  const favorites = await FavoriteCollection.updateMany(
+    { $and: [{ 'items.property': duplicate._id }, { 'items.property': { $ne: canonical._id } }] },
+    { $set: { 'items.$[item].property': canonical._id } },
+    { arrayFilters: [{ 'item.property': duplicate._id }], session }
+  );
+  await FavoriteCollection.updateMany(
+    { 'items.property': duplicate._id },
+    { $pull: { items: { property: duplicate._id } } },
+    { session }
+  );
+
+  // Favorites of users whose collections haven't been created yet (see
+  // FavoriteCollection.getDefault); the field is no longer in the User schema
+  const legacyFavorites = await User.collection.updateMany(
+    { $and: [{ favorites: duplicate._id }, { favorites: { $ne: canonical._id } }] },
+    { $set: { 'favorites.$[favorite]': canonical._id } },
+    { arrayFilters: [{ favorite: duplicate._id }], session }
+  );
+  await User.collection.updateMany(
+    { favorites: duplicate._id },
+    { $pull: { favorites: duplicate._id } },
+    { session }
+  );
+
+  const inquiries = await Contact.updateMany(
+    { property: duplicate._id },
+    { $set: { property: canonical._id } },
+    { session }
+  );
+  await PropertyView.updateMany(
+    { property: duplicate._id },
+    { $set: { property: canonical._id } },
+    { session }
+  );
+
+  // Redirects to the duplicate now lead straight to the canonical listing
+  await PropertyRedirect.updateMany({ to: duplicate._id }, { $set: { to: canonical._id } }, { session });
+  await PropertyRedirect.create([{
+    from: duplicate._id,
+    to: canonical._id,
+    title: duplicate.title,
+    mergedBy: userId
+  }], { session });
+
+  await Property.deleteOne({ _id: duplicate._id }, { session });
+
+  return {
+    duplicate,
+    canonical,
+    imagesAdded: images.length,
+    documentsAdded: documents.length,
+    favoritesMoved: favorites.modifiedCount + legacyFavorites.modifiedCount,
+    inquiriesMoved: inquiries.modifiedCount
+  };
+};
+
+// @desc    Merge a duplicate listing into a canonical listing
+// @route   POST /api/admin/properties/:id/merge
+// @access  Private (Admin only)
+const mergeProperty = async (req, res) => {
+  try {
+    const { canonicalId } = req.body;
+
+    if (!canonicalId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Canonical property id is required'
+      });
+    }
+
+    if (String(canonicalId) === String(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A property cannot be merged into itself'
+      });
+    }
+
+    const [duplicateExists, canonicalExists] = await Promise.all([
+      Property.exists({ _id: req.params.id }),
+      Property.exists({ _id: canonicalId })
+    ]);
+
+    if (!duplicateExists || !canonicalExists) {
+      return res.status(404).json({
+        success: false,
+        message: !duplicateExists ? 'Property not found' : 'Canonical property not found'
+      });
+    }
+
+    // Every write of the merge commits together, so a failure never leaves a
+    // half-merged listing. The listings are read inside the transaction so a
+    // retried attempt starts from the stored state.
+    let merged;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        merged = await mergeListings(req.params.id, canonicalId, req.user.id, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!merged) {
+      return res.status(409).json({
+        success: false,
+        message: 'Property was changed by another request'
+      });
+    }
+
+    const { duplicate, canonical, ...moved } = merged;
+
+    await PropertyRevision.record(canonical, 'merge', req.user.id, { mergedFrom: duplicate._id })
+      .catch(error => console.error('Record property revision error:', error));
+
+    res.status(200).json({
+      success: true,
+      message: 'Property merged successfully',
+      data: {
+        property: canonical,
+        mergedFrom: duplicate._id,
+        ...moved
+      }
+    });
+  } catch (error) {
+    console.error('Merge property error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property id'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging properties'
+    });
+  }
+};
+
+// @desc    Get land record documents of a property
+// @route   GET /api/admin/properties/:id/documents
+// @access  Private (Admin only)
+const getPropertyDocuments = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .select('title owner documents')
+      .populate('documents.verifiedBy', 'name email');
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    // Short-lived links instead of the stored file locations
+    const documents = await Promise.all(property.documents.map(async document => {
+      const { url, key, ...details } = document.toObject();
+      return {
+        ...details,
+        downloadUrl: await getSignedUrl(key || url) || url
+      };
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: documents.length,
+      data: documents
+    });
+  } catch (error) {
+    console.error('Get property documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching property documents'
+    });
+  }
+};
+
+// @desc    Verify a property document
+// @route   PUT /api/admin/properties/:id/documents/:docId/verify
+// @access  Private (Admin only)
+const verifyPropertyDocument = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const document = property.documents.id(req.params.docId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (document.status === 'verified') {
+      return res.status(400).json({
+        success: false,
+        message: 'Document is already verified'
+      });
+    }
+
+    document.status = 'verified';
+    document.verifiedBy = req.user.id;
+    document.verifiedAt = new Date();
+    if (req.body.notes !== undefined) document.notes = req.body.notes;
+
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Document verified successfully',
+      data: document
+    });
+  } catch (error) {
+    console.error('Verify property document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying document'
+    });
+  }
+};
+
+// @desc    Reject a property document
+// @route   PUT /api/admin/properties/:id/documents/:docId/reject
+// @access  Private (Admin only)
+const rejectPropertyDocument = async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    if (!notes || notes.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection notes are required'
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const document = property.documents.id(req.params.docId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (document.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Document is already rejected'
+      });
+    }
+
+    document.status = 'rejected';
+    document.verifiedBy = req.user.id;
+    document.verifiedAt = new Date();
+    document.notes = notes;
+
+    await property.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Document rejected successfully',
+      data: document
+    });
+  } catch (error) {
+    console.error('Reject property document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting document'
+    });
+  }
+};
+
 // @desc    Get property statistics
 // @route   GET /api/admin/properties/stats
 // @access  Private (Admin only)
@@ -298,6 +1047,10 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    await FavoriteCollection.deleteMany({ user: user._id });
+    await Notification.deleteMany({ user: user._id });
+    await PropertyView.deleteMany({ user: user._id });
+    await SavedSearch.deleteMany({ user: user._id });
     await User.findByIdAndDelete(req.params.id);
 
     res.status(200).json({
@@ -317,8 +1070,17 @@ module.exports = {
   getPendingProperties,
   approveProperty,
   rejectProperty,
+  approvePropertyChanges,
+  rejectPropertyChanges,
   getAllProperties,
+  exportProperties,
   getPropertyStats,
+  getPropertyDocuments,
+  verifyPropertyDocument,
+  rejectPropertyDocument,
+  restorePropertyRevision,
+  reopenProperty,
+  mergeProperty,
   getUsers,
   updateUserStatus,
   deleteUser
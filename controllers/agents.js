@@ -1,6 +1,14 @@
 const Agent = require('../models/Agent');
 const Property = require('../models/Property');
 const User = require('../models/User');
+const { getRejectedFields } = require('../utils/writePolicy');
+const { EXPORT_FORMATS, exportFormat, streamPropertyExport } = require('../utils/propertyExport');
+
+// Listings shown on an agent's public profile
+const agentPropertiesFilter = (agentId) => ({
+  agent: agentId,
+  isPublished: true
+});
 
 // @desc    Get all agents with filtering and pagination
 // @route   GET /api/agents
@@ -182,6 +190,15 @@ const updateAgent = async (req, res) => {
       });
     }
 
+    const rejectedFields = getRejectedFields('agent', req.user.role === 'admin' ? 'admin' : 'self', req.body);
+    if (rejectedFields.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Not allowed to update: ${rejectedFields.join(', ')}`,
+        rejectedFields
+      });
+    }
+
     const wasVerified = !!agent.isVerified;
 
     agent = await Agent.findByIdAndUpdate(
@@ -290,20 +307,14 @@ const getAgentProperties = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const properties = await Property.find({ 
-      agent: req.params.id,
-      isPublished: true 
-    })
+    const properties = await Property.find(agentPropertiesFilter(req.params.id))
       .populate('agent', 'user bio specialties ratings')
       .populate('agent.user', 'name email phone avatar')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Property.countDocuments({ 
-      agent: req.params.id,
-      isPublished: true 
-    });
+    const total = await Property.countDocuments(agentPropertiesFilter(req.params.id));
 
     res.status(200).json({
       status: 'success',
@@ -325,6 +336,50 @@ const getAgentProperties = async (req, res) => {
   }
 };
 
+// @desc    Export agent's properties as CSV, XLSX or NDJSON
+// @route   GET /api/agents/:id/properties/export
+// @access  Private (Agent owner/Admin)
+const exportAgentProperties = async (req, res) => {
+  try {
+    const format = exportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({
+        status: 'error',
+        message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const agent = await Agent.findById(req.params.id).select('user');
+
+    if (!agent) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Agent not found'
+      });
+    }
+
+    if (agent.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to export this agent\'s properties'
+      });
+    }
+
+    await streamPropertyExport(res, {
+      filter: agentPropertiesFilter(agent._id),
+      format,
+      filename: 'agent-properties'
+    });
+  } catch (error) {
+    console.error('Export agent properties error:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get agent reviews
 // @route   GET /api/agents/:id/reviews
 // @access  Public
@@ -663,6 +718,7 @@ module.exports = {
   deleteAgent,
   getTopAgents,
   getAgentProperties,
+  exportAgentProperties,
   addAgentReview,
   updateAgentReview,
   deleteAgentReview,
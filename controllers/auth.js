@@ -1,6 +1,8 @@
 const crypto = require('crypto');
 const User = require('../models/User');
 const Agent = require('../models/Agent');
+const Property = require('../models/Property');
+const FavoriteCollection = require('../models/FavoriteCollection');
 const sendEmail = require('../utils/sendEmail');
 const path = require('path');
 
@@ -188,8 +190,10 @@ const login = async (req, res) => {
 // @access  Private
 const getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).populate('favorites');
-    
+    const user = await User.findById(req.user.id);
+    await FavoriteCollection.getDefault(user._id);
+    const favorites = await Property.find({ _id: { $in: await FavoriteCollection.propertyIdsOf(user._id) } });
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -201,7 +205,7 @@ const getMe = async (req, res) => {
           role: user.role,
           avatar: user.avatar,
           isActive: user.isActive,
-          favorites: user.favorites
+          favorites
         }
       }
     });
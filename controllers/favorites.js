@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const Property = require('../models/Property');
+const apiUrl = require('../utils/apiUrl');
+
+const MAX_COLLECTIONS = 50;
+
+// Listing fields shown for each saved property
+const PROPERTY_SUMMARY = 'title price status type images location totalArea areaUnit approvalStatus isPublished';
+
+const notFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Collection not found'
+});
+
+const shareUrl = (token) => apiUrl(`/api/favorites/shared/${token}`);
+
+// Saved items with their property populated; listings deleted since are left out
+const populateItems = async (collection) => {
+  await collection.populate({ path: 'items.property', select: PROPERTY_SUMMARY });
+  return collection.items.filter(item => item.property);
+};
+
+// @desc    Get collections of the logged-in user
+// @route   GET /api/favorites/collections
+// @access  Private
+const getCollections = async (req, res) => {
+  try {
+    await FavoriteCollection.getDefault(req.user.id);
+    const collections = await FavoriteCollection.find({ user: req.user.id })
+      .sort({ isDefault: -1, createdAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        collections: collections.map(collection => ({
+          ...collection.toJSON(),
+          itemCount: collection.items.length
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create a collection
+// @route   POST /api/favorites/collections
+// @access  Private
+const createCollection = async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    const count = await FavoriteCollection.countDocuments({ user: req.user.id });
+    if (count >= MAX_COLLECTIONS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can have at most ${MAX_COLLECTIONS} collections`
+      });
+    }
+
+    if (name && await FavoriteCollection.exists({ user: req.user.id, name })) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You already have a collection named "${name}"`
+      });
+    }
+
+    const collection = await FavoriteCollection.create({ user: req.user.id, name });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Collection created',
+      data: {
+        collection
+      }
+    });
+  } catch (error) {
+    console.error('Create collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a collection with its saved properties and notes
+// @route   GET /api/favorites/collections/:id
+// @access  Private
+const getCollection = async (req, res) => {
+  try {
+    const collection = await FavoriteCollection.findOne({ _id: req.params.id, user: req.user.id });
+    if (!collection) return notFound(res);
+
+    const items = await populateItems(collection);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        collection: {
+          ...collection.toJSON(),
+          items,
+          shareUrl: collection.shareToken ? shareUrl(collection.shareToken) : null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get collection error:', error);
+    if (error.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Rename a collection
+// @route   PUT /api/favorites/collections/:id
+// @access  Private
+const updateCollection = async (req, res) => {
+  try {
+    const collection = await FavoriteCollection.findOne({ _id: req.params.id, user: req.user.id });
+    if (!collection) return notFound(res);
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (name && name !== collection.name &&
+      await FavoriteCollection.exists({ user: req.user.id, name })) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You already have a collection named "${name}"`
+      });
+    }
+
+    collection.name = name;
+    await collection.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Collection updated',
+      data: {
+        collection
+      }
+    });
+  } catch (error) {
+    console.error('Update collection error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.name === 'CastError') return notFound(res);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a collection and the properties saved in it
+// @route   DELETE /api/favorites/collections/:id
+// @access  Private
+const deleteCollection = async (req, res) => {
+  try {
+    const collection = await FavoriteCollection.findOne({ _id: req.params.id, user: req.user.id });
+    if (!collection) return notFound(res);
+
+    if (collection.isDefault) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The default collection cannot be deleted'
+      });
+    }
+
+    await collection.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Collection deleted'
+    });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    if (error.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Save a property to a collection with an optional note
+// @route   POST /api/favorites/collections/:id/items
+// @access  Private
+const addCollectionItem = async (req, res) => {
+  try {
+    const collection = await FavoriteCollection.findOne({ _id: req.params.id, user: req.user.id });
+    if (!collection) return notFound(res);
+
+    const { propertyId, note } = req.body;
+    if (!propertyId || !await Property.exists({ _id: propertyId })) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    if (collection.items.some(item => item.property.toString() === String(propertyId))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Property already in this collection'
+      });
+    }
+
+    collection.items.push({ property: propertyId, note });
+    await collection.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: `Property saved to ${collection.name}`,
+      data: {
+        item: collection.items[collection.items.length - 1]
+      }
+    });
+  } catch (error) {
+    console.error('Add collection item error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection or property not found'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Edit the private note of a saved property
+// @route   PUT /api/favorites/collections/:id/items/:propertyId
+// @access  Private
+const updateCollectionItem = async (req, res) => {
+  try {
+    const collection = await FavoriteCollection.findOne({ _id: req.params.id, user: req.user.id });
+    if (!collection) return notFound(res);
+
+    const item = collection.items.find(entry => entry.property.toString() === req.params.propertyId);
+    if (!item) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not in this collection'
+      });
+    }
+
+    item.note = req.body.note;
+    await collection.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Note updated',
+      data: {
+        item
+      }
+    });
+  } catch (error) {
+    console.error('Update collection item error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    if (error.name === 'CastError') return notFound(res);
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Remove a property from a collection
+// @route   DELETE /api/favorites/collections/:id/items/:propertyId
+// @access  Private
+const removeCollectionItem = async (req, res) => {
+  try {
+    const collection = await FavoriteCollection.findOne({ _id: req.params.id, user: req.user.id });
+    if (!collection) return notFound(res);
+
+    const remaining = collection.items.filter(item => item.property.toString() !== req.params.propertyId);
+    if (remaining.length === collection.items.length) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not in this collection'
+      });
+    }
+
+    collection.items = remaining;
+    await collection.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: `Property removed from ${collection.name}`
+    });
+  } catch (error) {
+    console.error('Remove collection item error:', error);
+    if (error.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create (or return) the read-only share link of a collection
+// @route   POST /api/favorites/collections/:id/share
+// @access  Private
+const shareCollection = async (req, res) => {
+  try {
+    const collection = await FavoriteCollection.findOne({ _id: req.params.id, user: req.user.id });
+    if (!collection) return notFound(res);
+
+    if (!collection.shareToken) {
+      collection.shareToken = crypto.randomBytes(24).toString('hex');
+      await collection.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Anyone with the link can view this collection',
+      data: {
+        shareToken: collection.shareToken,
+        shareUrl: shareUrl(collection.shareToken)
+      }
+    });
+  } catch (error) {
+    console.error('Share collection error:', error);
+    if (error.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Turn off the share link of a collection
+// @route   DELETE /api/favorites/collections/:id/share
+// @access  Private
+const unshareCollection = async (req, res) => {
+  try {
+    const collection = await FavoriteCollection.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $unset: { shareToken: '' } }
+    );
+    if (!collection) return notFound(res);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'The share link no longer works'
+    });
+  } catch (error) {
+    console.error('Unshare collection error:', error);
+    if (error.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    View a shared collection (read-only, without notes)
+// @route   GET /api/favorites/shared/:token
+// @access  Public
+const getSharedCollection = async (req, res) => {
+  try {
+    const collection = await FavoriteCollection.findOne({ shareToken: req.params.token });
+    if (!collection) return notFound(res);
+
+    const items = await populateItems(collection);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        collection: {
+          name: collection.name,
+          updatedAt: collection.updatedAt,
+          // Only listings the public can see; notes stay private
+          items: items
+            .filter(item => item.property.isPublished || item.property.approvalStatus === 'approved')
+            .map(item => ({ property: item.property, savedAt: item.savedAt }))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get shared collection error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionItem,
+  updateCollectionItem,
+  removeCollectionItem,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection
+};
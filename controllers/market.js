@@ -0,0 +1,247 @@
+const Property = require('../models/Property');
+const { SQM_PER_UNIT } = require('../utils/area');
+const { round, median } = require('../utils/stats');
+
+// Location fields that make up each region level, broadest first
+const REGION_LEVELS = {
+  state: ['state'],
+  district: ['state', 'district'],
+  taluka: ['state', 'district', 'taluka'],
+  village: ['state', 'district', 'taluka', 'village']
+};
+
+const MARKET_TIMEZONE = process.env.MARKET_TIMEZONE || 'Asia/Kolkata';
+const DEFAULT_MONTHS = 12;
+const MAX_MONTHS = 60;
+
+// Query parameters that take one text value; `?state[$ne]=x` is parsed into an
+// object and must not reach $match
+const TEXT_PARAMS = ['level', 'from', 'to', 'type', 'status', 'state', 'district', 'taluka', 'village'];
+
+// Wall clock fields of `date` in the market timezone
+const zonedParts = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+
+  return {
+    year: value('year'),
+    month: value('month') - 1,
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+};
+
+// Offset of the market timezone from UTC at `date`, in milliseconds
+const zoneOffset = (date) => {
+  const { year, month, day, hour, minute, second } = zonedParts(date);
+  return Date.UTC(year, month, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a wall clock time happens in the market timezone; the month
+// and day may overflow as with Date.UTC
+const zonedDate = (year, month, day, hour = 0, minute = 0, second = 0, ms = 0) => {
+  const wallClock = Date.UTC(year, month, day, hour, minute, second, ms);
+  const guess = wallClock - zoneOffset(new Date(wallClock));
+  return new Date(wallClock - zoneOffset(new Date(guess)));
+};
+
+// A date query parameter. Plain dates ("2024-06-30") are whole days in the
+// market timezone: `from` starts at midnight and `to` ends at midnight.
+const parseDateParam = (value, endOfDay) => {
+  const plain = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!plain) return new Date(value);
+
+  const [year, month, day] = plain.slice(1).map(Number);
+  return endOfDay
+    ? zonedDate(year, month - 1, day, 23, 59, 59, 999)
+    : zonedDate(year, month - 1, day);
+};
+
+// Month keys ("2024-01") in the market timezone from the month of `from`
+// through the month of `to`, matching the buckets of the aggregation
+const monthRange = (from, to) => {
+  const months = [];
+  const start = zonedParts(from);
+  const end = zonedParts(to);
+
+  for (let year = start.year, month = start.month;
+    year < end.year || (year === end.year && month <= end.month);
+    month === 11 ? (year++, month = 0) : month++) {
+    months.push(`${year}-${String(month + 1).padStart(2, '0')}`);
+  }
+  return months;
+};
+
+const roundOrNull = (value) => (value === null || value === undefined ? null : round(value));
+
+// Listing count and median prices of the buckets of one group
+const summarizeBuckets = (buckets) => {
+  const prices = buckets.flatMap(bucket => bucket.prices);
+  const pricesPerSqm = buckets.flatMap(bucket => bucket.pricesPerSqm);
+
+  return {
+    listings: buckets.reduce((sum, bucket) => sum + bucket.listings, 0),
+    medianPrice: roundOrNull(median(prices.filter(Number.isFinite))),
+    medianPricePerSqm: roundOrNull(median(pricesPerSqm.filter(Number.isFinite)))
+  };
+};
+
+// @desc    Get listing counts, median prices and monthly trends by region
+// @route   GET /api/market/stats
+// @access  Public
+const getMarketStats = async (req, res) => {
+  try {
+    const invalidParam = TEXT_PARAMS.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+    if (invalidParam) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${invalidParam} must be a single value`
+      });
+    }
+
+    const level = req.query.level || 'district';
+    const regionFields = REGION_LEVELS[level];
+
+    if (!regionFields) {
+      return res.status(400).json({
+        status: 'error',
+        message: `level must be one of ${Object.keys(REGION_LEVELS).join(', ')}`
+      });
+    }
+
+    // Date range, defaulting to the last 12 months
+    const to = req.query.to ? parseDateParam(req.query.to, true) : new Date();
+    const toMonth = zonedParts(to);
+    const from = req.query.from
+      ? parseDateParam(req.query.from, false)
+      : zonedDate(toMonth.year, toMonth.month - (DEFAULT_MONTHS - 1), 1);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from and to must be valid dates with from before to'
+      });
+    }
+
+    const months = monthRange(from, to);
+    if (months.length > MAX_MONTHS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Date range cannot be longer than ${MAX_MONTHS} months`
+      });
+    }
+
+    const match = {
+      approvalStatus: 'approved',
+      createdAt: { $gte: from, $lte: to }
+    };
+    if (req.query.type) match.type = req.query.type;
+    if (req.query.status) match.status = req.query.status;
+    ['state', 'district', 'taluka', 'village'].forEach(field => {
+      if (req.query[field]) match[`location.${field}`] = req.query[field];
+    });
+
+    const regionGroupId = { type: '$type' };
+    regionFields.forEach(field => {
+      regionGroupId[field] = `$location.${field}`;
+    });
+    const groupId = {
+      ...regionGroupId,
+      month: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone: MARKET_TIMEZONE } }
+    };
+
+    // Prices are pushed per month and the medians worked out here, as $median
+    // needs MongoDB 7.0
+    const byMonth = await Property.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: groupId,
+          listings: { $sum: 1 },
+          prices: { $push: '$price' },
+          pricesPerSqm: {
+            $push: {
+              $cond: [
+                { $and: [{ $gt: ['$areaSqm', 0] }, { $gt: ['$price', 0] }] },
+                { $divide: ['$price', '$areaSqm'] },
+                '$$REMOVE'
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    const regionOf = (id) => {
+      const region = {};
+      regionFields.forEach(field => {
+        region[field] = id[field] || null;
+      });
+      return region;
+    };
+    const groupKey = (id) => JSON.stringify([regionOf(id), id.type]);
+
+    // Monthly buckets of each region and type
+    const groups = new Map();
+    byMonth.forEach(bucket => {
+      const key = groupKey(bucket._id);
+      if (!groups.has(key)) groups.set(key, { _id: bucket._id, months: new Map() });
+      groups.get(key).months.set(bucket._id.month, bucket);
+    });
+
+    const results = [...groups.values()].map(({ _id, months: groupMonths }) => {
+      const overall = summarizeBuckets([...groupMonths.values()]);
+      const medianPerSqm = overall.medianPricePerSqm;
+
+      return {
+        region: regionOf(_id),
+        type: _id.type,
+        listings: overall.listings,
+        medianPrice: overall.medianPrice,
+        medianPricePerSqm: medianPerSqm,
+        medianPricePerVigha: medianPerSqm !== null ? round(medianPerSqm * SQM_PER_UNIT.vigha) : null,
+        trend: months.map(month => {
+          const bucket = groupMonths.get(month);
+          return bucket
+            ? { month, ...summarizeBuckets([bucket]) }
+            : { month, listings: 0, medianPrice: null, medianPricePerSqm: null };
+        })
+      };
+    });
+
+    results.sort((a, b) => b.listings - a.listings);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        level,
+        from,
+        to,
+        months,
+        totalListings: results.reduce((sum, result) => sum + result.listings, 0),
+        groups: results
+      }
+    });
+  } catch (error) {
+    console.error('Get market stats error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getMarketStats
+};
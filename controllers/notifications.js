@@ -0,0 +1,208 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+// Switches in User.notificationPreferences
+const PREFERENCE_FIELDS = ['email', 'inApp', 'priceDrop', 'closed', 'unpublished'];
+
+const notFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Notification not found'
+});
+
+// @desc    Get notifications of the logged-in user, newest first
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+    if (req.query.unread === 'true') filter.readAt = { $exists: false };
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('property', 'title price status images isPublished');
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ user: req.user.id, readAt: { $exists: false } });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+    if (!notification) return notFound(res);
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        notification
+      }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    if (error.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: `${result.modifiedCount} notification${result.modifiedCount === 1 ? '' : 's'} marked as read`
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!notification) return notFound(res);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    if (error.name === 'CastError') return notFound(res);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get notification preferences of the logged-in user
+// @route   GET /api/notifications/preferences
+// @access  Private
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        preferences: user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update notification preferences; switches left out keep their value
+// @route   PUT /api/notifications/preferences
+// @access  Private
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const unknown = Object.keys(req.body || {}).filter(key => !PREFERENCE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown preferences: ${unknown.join(', ')}`
+      });
+    }
+
+    const invalid = PREFERENCE_FIELDS
+      .filter(field => req.body[field] !== undefined && ![true, false, 'true', 'false'].includes(req.body[field]));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${invalid.join(', ')} must be true or false`
+      });
+    }
+
+    const update = {};
+    PREFERENCE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        update[`notificationPreferences.${field}`] = req.body[field] === true || req.body[field] === 'true';
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification preferences updated',
+      data: {
+        preferences: user.notificationPreferences
+      }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences
+};
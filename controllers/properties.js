@@ -1,6 +1,297 @@
+const mongoose = require('mongoose');
 const Property = require('../models/Property');
 const User = require('../models/User');
 const Agent = require('../models/Agent');
+const PropertyRevision = require('../models/PropertyRevision');
+const PropertyRedirect = require('../models/PropertyRedirect');
+const PropertyView = require('../models/PropertyView');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const { EARTH_RADIUS_KM, distanceKm } = require('../utils/geo');
+const { SQM_PER_UNIT, normalizeAreaUnit } = require('../utils/area');
+const { round, summarize, percentileRank } = require('../utils/stats');
+const { normalize, stableStringify } = require('../utils/diff');
+const { PROPERTY_FORM_FIELDS, getRejectedFields } = require('../utils/writePolicy');
+const { DEFAULT_RADIUS_KM, MAX_RADIUS_KM, normalizeElectricity, buildListingFilter } = require('../utils/propertyFilters');
+const { getExpiryDate } = require('../config/listingExpiry');
+const { propertyViews } = require('../config/propertyViews');
+const { findLikelyDuplicates, findImageConflicts } = require('../utils/duplicates');
+const { deleteStoredFile, getSignedUrl } = require('../utils/storage');
+const storageConfig = require('../config/storage');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { EXPORT_FORMATS, exportFormat, streamPropertyExport } = require('../utils/propertyExport');
+const { matchImportColumns, rowToPropertyForm, importTemplateCsv } = require('../utils/propertyImport');
+const { snapshotListing, notifyFavoriteWatchers } = require('../utils/favoriteNotifications');
+const { recordPropertyView } = require('../utils/propertyViews');
+
+// Edits to these fields on an approved listing need moderation before going live
+const MATERIAL_FIELDS = ['price', 'title', 'description', 'images', 'location', 'documents'];
+
+// Comparable form of a material field; the derived geo point is ignored
+const materialValue = (field, value) => {
+  const normalized = normalize(value);
+  if (field === 'location' && normalized) delete normalized.geo;
+  return stableStringify(normalized);
+};
+
+// Gallery entry for a photo stored by the upload pipeline
+const uploadedImage = (file, isPrimary) => ({
+  url: file.path,
+  alt: file.originalname,
+  isPrimary,
+  renditions: file.renditions,
+  hash: file.hash,
+  storedFiles: file.renditions ? Object.values(file.renditions) : [file.key || file.path]
+});
+
+// Image fields that can point at a stored file
+const IMAGE_FILE_PATHS = ['url', 'storedFiles', 'renditions.thumbnail', 'renditions.medium', 'renditions.large'];
+
+const imageFileRefs = (image) => {
+  const { url, storedFiles = [], renditions = {} } = image.toObject ? image.toObject() : image;
+  return [url, ...storedFiles, ...Object.values(renditions)];
+};
+
+// Whether another image, on this listing or any other, still uses the file
+const isImageFileShared = async (property, image, file) => {
+  const usedHere = property.images
+    .some(other => !other._id.equals(image._id) && imageFileRefs(other).includes(file));
+  if (usedHere) return true;
+
+  return !!(await Property.exists({
+    _id: { $ne: property._id },
+    $or: IMAGE_FILE_PATHS.map(path => ({ [`images.${path}`]: file }))
+  }));
+};
+
+// Owners, the assigned agent and admins manage a listing's gallery
+const canManageProperty = async (property, user) => {
+  if (user.role === 'admin' || property.owner.toString() === user.id) return true;
+  return !!(property.agent && await Agent.exists({ _id: property.agent, user: user.id }));
+};
+
+// Store listings that look like the same plot on `property` for the moderators.
+// The matched listings get a link back, so the match shows up whichever of
+// the two is reviewed.
+const flagPossibleDuplicates = async (property) => {
+  try {
+    const duplicates = await findLikelyDuplicates(property);
+    if (duplicates.length === 0) return;
+
+    property.possibleDuplicates = duplicates.map(({ property: duplicateId, score, reasons }) => ({
+      property: duplicateId,
+      score,
+      reasons
+    }));
+    await Property.updateOne(
+      { _id: property._id },
+      { $set: { possibleDuplicates: property.possibleDuplicates } }
+    );
+    await Property.bulkWrite(duplicates.map(({ property: duplicateId, score, reasons }) => ({
+      updateOne: {
+        filter: { _id: duplicateId, 'possibleDuplicates.property': { $ne: property._id } },
+        update: { $push: { possibleDuplicates: { property: property._id, score, reasons } } }
+      }
+    })));
+  } catch (error) {
+    console.error('Duplicate detection error:', error);
+  }
+};
+
+// Record photos shared with listings of other owners for the moderators, on
+// both listings
+const flagImageConflicts = async (property) => {
+  try {
+    const conflicts = await findImageConflicts(property);
+    if (conflicts.length === 0 && property.imageConflicts.length === 0) return;
+
+    property.imageConflicts = conflicts.map(({ image, property: conflictId, matchedImage, owner, distance }) => ({
+      image,
+      property: conflictId,
+      matchedImage,
+      owner,
+      distance
+    }));
+    await Property.updateOne(
+      { _id: property._id },
+      { $set: { imageConflicts: property.imageConflicts } }
+    );
+    if (conflicts.length === 0) return;
+
+    await Property.bulkWrite(conflicts.map(({ image, property: conflictId, matchedImage, distance }) => ({
+      updateOne: {
+        filter: {
+          _id: conflictId,
+          imageConflicts: { $not: { $elemMatch: { image: matchedImage, property: property._id } } }
+        },
+        update: {
+          $push: {
+            imageConflicts: { image: matchedImage, property: property._id, matchedImage: image, owner: property.owner, distance }
+          }
+        }
+      }
+    })));
+  } catch (error) {
+    console.error('Image conflict detection error:', error);
+  }
+};
+
+// Statuses set only by closing a listing (POST /:id/close) and cleared only by
+// an admin reopening it, since closing credits the listing agent
+const CLOSED_STATUSES = ['sold', 'rented'];
+
+// Comparables: fewest listings needed before a wider area is tried
+const MIN_COMPARABLES = 5;
+const MAX_COMPARABLES = 500;
+
+// Land detail fields accepted from the property form
+const LAND_INFO_FIELDS = [
+  'fencing',
+  'borewell',
+  'houseOnLand',
+  'electricity',
+  'expectedPricePerUnit',
+  'paymentTerms',
+  'legacyLand'
+];
+
+// Collect land details from either flat form fields or a landInfo object/JSON string
+const extractLandInfo = (body) => {
+  let source = body.landInfo;
+  if (typeof source === 'string') {
+    try {
+      source = JSON.parse(source);
+    } catch (e) {
+      source = {};
+    }
+  }
+  if (!source || typeof source !== 'object') source = {};
+
+  const landInfo = {};
+  LAND_INFO_FIELDS.forEach(field => {
+    const value = source[field] !== undefined ? source[field] : body[field];
+    if (value !== undefined && value !== '') landInfo[field] = value;
+  });
+
+  if (landInfo.electricity !== undefined) {
+    landInfo.electricity = normalizeElectricity(landInfo.electricity);
+  }
+
+  return landInfo;
+};
+
+// Turn the flat fields of the property form (contactName, latitude,
+// surveyNumber, fencing, ...) into the nested Property shape
+const mapPropertyForm = (propertyData) => {
+  // Handle land information
+  if (propertyData.type === 'land') {
+    propertyData.landInfo = extractLandInfo(propertyData);
+  } else {
+    delete propertyData.landInfo;
+  }
+  LAND_INFO_FIELDS.forEach(field => delete propertyData[field]);
+
+  // Handle contact information
+  propertyData.contactInfo = {
+    name: propertyData.contactName,
+    email: propertyData.contactEmail,
+    phone: propertyData.contactPhone,
+    whatsappNumber: propertyData.whatsappNumber,
+    preferredContact: propertyData.preferredContact
+  };
+
+  // Handle location coordinates - build complete location object
+  propertyData.location = {
+    address: propertyData.address || `${propertyData.village || ''}, ${propertyData.taluka || ''}, ${propertyData.district || ''}, ${propertyData.state || ''}`,
+    city: propertyData.city || propertyData.taluka || propertyData.district || '',
+    state: propertyData.state,
+    district: propertyData.district,
+    taluka: propertyData.taluka,
+    village: propertyData.village,
+    zipCode: propertyData.zipCode || propertyData.pincode || '',
+    country: propertyData.country || 'India',
+    coordinates: {
+      latitude: parseFloat(propertyData.latitude) || 0,
+      longitude: parseFloat(propertyData.longitude) || 0
+    }
+  };
+
+  // Handle amenities array
+  if (propertyData.amenities) {
+    try {
+      propertyData.amenities = Array.isArray(propertyData.amenities)
+        ? propertyData.amenities
+        : JSON.parse(propertyData.amenities);
+    } catch (e) {
+      propertyData.amenities = [];
+    }
+  } else {
+    propertyData.amenities = [];
+  }
+
+  // Handle disadvantages array
+  if (propertyData.disadvantages) {
+    try {
+      // Check if it's already an array or a JSON string
+      if (typeof propertyData.disadvantages === 'string') {
+         // Try parsing if it looks like JSON array
+         if (propertyData.disadvantages.trim().startsWith('[')) {
+             propertyData.disadvantages = JSON.parse(propertyData.disadvantages);
+         } else {
+             // If it's a single string value, make it an array
+             propertyData.disadvantages = [propertyData.disadvantages];
+         }
+      }
+    } catch (e) {
+      propertyData.disadvantages = [];
+    }
+  } else {
+    propertyData.disadvantages = [];
+  }
+
+  // Handle Government Details
+  propertyData.govDetails = {
+      khaataNumber: propertyData.khaataNumber,
+      surveyNumber: propertyData.surveyNumber,
+      area: propertyData.govArea // Mapping from frontend 'govArea' to model 'area' inside govDetails
+  };
+
+  // Accept unit aliases such as "sq.ft" or "bigha" for totalArea
+  if (propertyData.areaUnit) {
+    propertyData.areaUnit = normalizeAreaUnit(propertyData.areaUnit) || propertyData.areaUnit;
+  }
+
+  // Handle insertedBy
+  propertyData.insertedBy = propertyData.insertedBy || 'Owner';
+
+  // Normalize numeric optional fields
+  if (propertyData.bathrooms !== undefined && propertyData.bathrooms !== '') {
+    propertyData.bathrooms = parseInt(propertyData.bathrooms, 10);
+  }
+  if (propertyData.balconies !== undefined && propertyData.balconies !== '') {
+    propertyData.balconies = parseInt(propertyData.balconies, 10);
+  }
+
+  // Clean up the data - remove fields that shouldn't be in the model
+  delete propertyData.contactName;
+  delete propertyData.contactEmail;
+  delete propertyData.contactPhone;
+  delete propertyData.whatsappNumber;
+  delete propertyData.preferredContact;
+  delete propertyData.latitude;
+  delete propertyData.longitude;
+  delete propertyData.address;
+  delete propertyData.city;
+  delete propertyData.state;
+  delete propertyData.zipCode;
+  delete propertyData.country;
+  delete propertyData.khaataNumber;
+  delete propertyData.govArea;
+  // surveyNumber might be used in documents too, but if it matches, fine. 
+  // If it was in root, remove it after mapping to govDetails
+  if (propertyData.govDetails.surveyNumber) delete propertyData.surveyNumber;
+
+  return propertyData;
+};
 
 // @desc    Get properties for the logged-in user
 // @route   GET /api/properties/my
@@ -41,6 +332,34 @@ const getMyProperties = async (req, res) => {
   }
 };
 
+// @desc    Export the logged-in user's properties as CSV, XLSX or NDJSON
+// @route   GET /api/properties/my/export
+// @access  Private
+const exportMyProperties = async (req, res) => {
+  try {
+    const format = exportFormat(req.query.format);
+    if (!format) {
+      return res.status(400).json({
+        status: 'error',
+        message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    await streamPropertyExport(res, {
+      filter: { owner: req.user.id },
+      format,
+      filename: 'my-properties'
+    });
+  } catch (error) {
+    console.error('Export my properties error:', error);
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get all properties with filtering and pagination
 // @route   GET /api/properties
 // @access  Public
@@ -50,29 +369,12 @@ const getProperties = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // Build filter object: show publicly visible properties
-    // Return properties that are published OR have been approved.
-    // This allows approved items to appear even if isPublished wasn't toggled yet.
-    const filter = { $or: [{ isPublished: true }, { approvalStatus: 'approved' }] };
-
-    if (req.query.minPrice || req.query.maxPrice) {
-      filter.price = {};
-      if (req.query.minPrice) filter.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) filter.price.$lte = parseFloat(req.query.maxPrice);
-    }
-
-    if (req.query.propertyType) filter.propertyType = req.query.propertyType;
-    if (req.query.status) filter.status = req.query.status;
-    if (req.query.city) filter['location.city'] = new RegExp(req.query.city, 'i');
-    if (req.query.district) filter['location.district'] = new RegExp(req.query.district, 'i');
-    if (req.query.village) filter['location.village'] = new RegExp(req.query.village, 'i');
-    if (req.query.bedrooms) filter['specifications.bedrooms'] = parseInt(req.query.bedrooms);
-    if (req.query.bathrooms) filter['specifications.bathrooms'] = parseInt(req.query.bathrooms);
-
-    if (req.query.minArea || req.query.maxArea) {
-      filter['specifications.area'] = {};
-      if (req.query.minArea) filter['specifications.area'].$gte = parseFloat(req.query.minArea);
-      if (req.query.maxArea) filter['specifications.area'].$lte = parseFloat(req.query.maxArea);
+    const { filter, near, radiusKm, error } = buildListingFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
     }
 
     // Build sort object
@@ -91,24 +393,68 @@ const getProperties = async (req, res) => {
         case 'oldest':
           sort = { createdAt: 1 };
           break;
+        case 'biggest-drop':
+          sort = { 'priceReduction.percent': -1, 'priceReduction.changedAt': -1 };
+          break;
         case 'area-asc':
-          sort = { 'specifications.area': 1 };
+          sort = { areaSqm: 1 };
           break;
         case 'area-desc':
-          sort = { 'specifications.area': -1 };
+          sort = { areaSqm: -1 };
           break;
       }
     }
 
-    const properties = await Property.find(filter)
-      .populate('agent', 'user bio specialties ratings')
-      .populate('agent.user', 'name email phone avatar')
-      .populate('owner', 'name email phone')
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
+    let properties;
+    let total;
+
+    if (near) {
+      // $geoNear returns results nearest first and reports the distance of each
+      const sortByDistance = !req.query.sort || req.query.sort === 'distance';
+      const pipeline = [
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: near },
+            key: 'location.geo',
+            distanceField: 'distance',
+            maxDistance: radiusKm * 1000,
+            query: filter,
+            spherical: true
+          }
+        }
+      ];
+      if (!sortByDistance) pipeline.push({ $sort: sort });
+      pipeline.push({ $skip: skip }, { $limit: limit });
 
-    const total = await Property.countDocuments(filter);
+      const results = await Property.aggregate(pipeline);
+      properties = results.map(({ distance, ...doc }) => Property.hydrate(doc));
+      await Property.populate(properties, [
+        { path: 'agent', select: 'user bio specialties ratings' },
+        { path: 'agent.user', select: 'name email phone avatar' },
+        { path: 'owner', select: 'name email phone' }
+      ]);
+      properties = properties.map((property, index) => ({
+        ...property.toJSON(),
+        distanceKm: Math.round(results[index].distance) / 1000
+      }));
+
+      total = await Property.countDocuments({
+        $and: [
+          filter,
+          { 'location.geo': { $geoWithin: { $centerSphere: [near, radiusKm / EARTH_RADIUS_KM] } } }
+        ]
+      });
+    } else {
+      properties = await Property.find(filter)
+        .populate('agent', 'user bio specialties ratings')
+        .populate('agent.user', 'name email phone avatar')
+        .populate('owner', 'name email phone')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit);
+
+      total = await Property.countDocuments(filter);
+    }
 
     res.status(200).json({
       status: 'success',
@@ -125,20 +471,1331 @@ const getProperties = async (req, res) => {
     console.error('Get properties error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Server error'
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get single property
+// @route   GET /api/properties/:id
+// @access  Public
+const getProperty = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .populate('agent', 'user bio specialties ratings experience')
+      .populate('agent.user', 'name email phone avatar')
+      .populate('owner', 'name email phone');
+
+    if (!property) {
+      // Listings merged into another one point at the surviving listing
+      const redirect = await PropertyRedirect.findOne({ from: req.params.id });
+
+      if (redirect) {
+        return res.status(301)
+          .location(`${req.baseUrl}/${redirect.to}`)
+          .json({
+            status: 'success',
+            message: 'Property has been merged into another listing',
+            data: {
+              canonicalId: redirect.to
+            }
+          });
+      }
+
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        property
+      }
+    });
+  } catch (error) {
+    console.error('Get property error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create new property
+// @route   POST /api/properties
+// @access  Private (Agent/Admin)
+const createProperty = async (req, res) => {
+  try {
+    console.log('Creating property with data:', req.body);
+    console.log('Files received:', req.files);
+
+    const propertyData = { ...req.body };
+
+    // Handle uploaded images
+    if (req.files && req.files.images && req.files.images.length > 0) {
+      propertyData.images = req.files.images.map((file, index) => uploadedImage(file, index === 0));
+    } else {
+      propertyData.images = [];
+    }
+
+    // Handle document uploads - each upload field maps to a land record type
+    propertyData.documents = [];
+    if (req.files) {
+      const documentFields = {
+        document712: '7-12',
+        document8A: '8A',
+        documentUtarotar: 'utara',
+        otherDocuments: 'other'
+      };
+
+      Object.entries(documentFields).forEach(([field, type]) => {
+        (req.files[field] || []).forEach(file => {
+          propertyData.documents.push({
+            type,
+            url: file.path,
+            key: file.key,
+            name: file.originalname,
+            status: 'pending'
+          });
+        });
+      });
+    }
+
+    mapPropertyForm(propertyData);
+
+    // Set owner to current user
+    propertyData.owner = req.user.id;
+
+    // If user is an agent, link their agent profile
+    if (req.user.role === 'agent') {
+      const agentProfile = await Agent.findOne({ user: req.user.id });
+      if (agentProfile) {
+        propertyData.agent = agentProfile._id;
+      }
+    }
+
+    // Set default values
+    propertyData.isPublished = false; // Require approval
+    propertyData.isActive = true;
+    propertyData.approvalStatus = 'pending'; // Default status
+
+    console.log('Final property data:', propertyData);
+
+    const property = await Property.create(propertyData);
+
+    await PropertyRevision.record(property, 'create', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    // Flag listings that look like the same plot for the moderators
+    await flagPossibleDuplicates(property);
+    await flagImageConflicts(property);
+
+    // Populate the created property
+    await property.populate([
+      { path: 'agent', select: 'user bio specialties ratings' },
+      { path: 'agent.user', select: 'name email phone avatar' },
+      { path: 'owner', select: 'name email phone' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Property submitted successfully and is pending approval',
+      data: {
+        property,
+        possibleDuplicates: property.possibleDuplicates.length
+      }
+    });
+  } catch (error) {
+    console.error('Create property error:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    // Handle duplicate key errors
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Duplicate entry error',
+        error: 'A property with this information already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during property creation',
+      error: error.message
+    });
+  }
+};
+
+// Largest number of data rows accepted in one import file
+const MAX_IMPORT_ROWS = 500;
+
+// @desc    Create pending listings from a CSV or XLSX file
+// @route   POST /api/properties/import
+// @access  Private (Agent/Admin)
+const importProperties = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please upload a CSV or XLSX file'
+      });
+    }
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Could not read the spreadsheet: ${error.message}`
+      });
+    }
+
+    const { columns, ignored, missing } = matchImportColumns(sheet.header);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Missing required columns: ${missing.join(', ')}`
+      });
+    }
+
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The spreadsheet has no data rows'
+      });
+    }
+
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A file can contain at most ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const dryRun = [req.query.dryRun, req.body.dryRun].includes('true');
+
+    const agentProfile = req.user.role === 'agent'
+      ? await Agent.findOne({ user: req.user.id })
+      : null;
+
+    const rows = [];
+    for (const { rowNumber, values } of sheet.rows) {
+      const propertyData = mapPropertyForm({
+        contactName: req.user.name,
+        contactEmail: req.user.email,
+        contactPhone: req.user.phone,
+        ...rowToPropertyForm(values, columns)
+      });
+
+      Object.assign(propertyData, {
+        owner: req.user.id,
+        images: [],
+        documents: [],
+        isPublished: false,
+        isActive: true,
+        approvalStatus: 'pending'
+      });
+      if (agentProfile) propertyData.agent = agentProfile._id;
+
+      const property = new Property(propertyData);
+
+      try {
+        await property.validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+
+        rows.push({
+          row: rowNumber,
+          status: 'invalid',
+          title: propertyData.title,
+          errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+        });
+        continue;
+      }
+
+      if (dryRun) {
+        rows.push({ row: rowNumber, status: 'valid', title: property.title });
+        continue;
+      }
+
+      try {
+        await property.save();
+      } catch (error) {
+        console.error(`Import property row ${rowNumber} error:`, error);
+        rows.push({
+          row: rowNumber,
+          status: 'invalid',
+          title: property.title,
+          errors: [{ message: 'Could not save this row' }]
+        });
+        continue;
+      }
+
+      await PropertyRevision.record(property, 'create', req.user.id)
+        .catch(error => console.error('Record property revision error:', error));
+      await flagPossibleDuplicates(property);
+
+      rows.push({
+        row: rowNumber,
+        status: 'created',
+        title: property.title,
+        property: property._id,
+        possibleDuplicates: property.possibleDuplicates.length
+      });
+    }
+
+    const count = (status) => rows.filter(row => row.status === status).length;
+    const invalid = count('invalid');
+    const created = count('created');
+
+    res.status(!dryRun && created > 0 ? 201 : 200).json({
+      status: 'success',
+      message: dryRun
+        ? `${rows.length - invalid} of ${rows.length} rows are valid`
+        : `${created} of ${rows.length} rows imported as pending listings`,
+      data: {
+        dryRun,
+        totalRows: rows.length,
+        valid: rows.length - invalid,
+        invalid,
+        created,
+        ignoredColumns: ignored,
+        rows
+      }
+    });
+  } catch (error) {
+    console.error('Import properties error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Download the column template for property imports
+// @route   GET /api/properties/import/template
+// @access  Private (Agent/Admin)
+const getImportTemplate = (req, res) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="property-import-template.csv"');
+  res.status(200).send(importTemplateCsv());
+};
+
+// @desc    Update property
+// @route   PUT /api/properties/:id
+// @access  Private (Owner/Agent/Admin)
+const updateProperty = async (req, res) => {
+  try {
+    let property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    // Work out whether the user edits as admin, owner or the assigned agent
+    let editorRole = null;
+    if (req.user.role === 'admin') {
+      editorRole = 'admin';
+    } else if (property.owner.toString() === req.user.id) {
+      editorRole = 'owner';
+    } else if (property.agent && await Agent.exists({ _id: property.agent, user: req.user.id })) {
+      editorRole = 'agent';
+    }
+
+    if (!editorRole) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to update this property'
+      });
+    }
+
+    const rejectedFields = getRejectedFields('property', editorRole, req.body);
+    if (rejectedFields.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Not allowed to update: ${rejectedFields.join(', ')}`,
+        rejectedFields
+      });
+    }
+
+    if (req.body.status !== undefined && req.body.status !== property.status &&
+      [property.status, req.body.status].some(status => CLOSED_STATUSES.includes(status))) {
+      return res.status(400).json({
+        status: 'error',
+        message: CLOSED_STATUSES.includes(property.status)
+          ? `Property is ${property.status}; only an admin can reopen it`
+          : 'Use POST /api/properties/:id/close to mark a property as sold or rented'
+      });
+    }
+
+    // Handle uploaded images
+    if (req.files && req.files.length > 0) {
+      const newImages = req.files.map((file, index) => uploadedImage(file, index === 0 && property.images.length === 0));
+
+      req.body.images = [...property.images, ...newImages];
+    }
+
+    // Merge land details into the existing ones so partial edits don't wipe them
+    const landInfo = extractLandInfo(req.body);
+    LAND_INFO_FIELDS.forEach(field => delete req.body[field]);
+    if (Object.keys(landInfo).length > 0) {
+      req.body.landInfo = { ...(property.toObject().landInfo || {}), ...landInfo };
+    } else {
+      delete req.body.landInfo;
+    }
+
+    // Flat contact, location and 7/12 fields update just their nested path;
+    // blank ones are left alone as with the land details
+    Object.entries(PROPERTY_FORM_FIELDS).forEach(([field, path]) => {
+      const value = req.body[field];
+      delete req.body[field];
+      if (value !== undefined && value !== '') req.body[path] = value;
+    });
+
+    if (req.body.areaUnit) {
+      req.body.areaUnit = normalizeAreaUnit(req.body.areaUnit) || req.body.areaUnit;
+    }
+
+    const original = property.toObject({ depopulate: true, virtuals: false });
+
+    // Save through the document so derived fields (area units, geo point) are recomputed
+    property.set(req.body);
+
+    // Material edits to an approved listing go to the moderation queue while
+    // the live version stays published
+    let pendingFields = [];
+    if (property.approvalStatus === 'approved' && req.user.role !== 'admin') {
+      const edited = property.toObject({ depopulate: true, virtuals: false });
+      const changes = {};
+
+      MATERIAL_FIELDS.forEach(field => {
+        if (materialValue(field, original[field]) !== materialValue(field, edited[field])) {
+          changes[field] = normalize(edited[field]);
+          property.set(field, original[field]);
+        }
+      });
+
+      pendingFields = Object.keys(changes);
+      if (pendingFields.length > 0) {
+        const queued = property.pendingChanges && property.pendingChanges.status === 'pending'
+          ? property.pendingChanges.fields
+          : {};
+        property.pendingChanges = {
+          fields: { ...queued, ...changes },
+          requestedBy: req.user.id,
+          requestedAt: new Date(),
+          status: 'pending'
+        };
+      }
+    }
+
+    property.$locals.changedBy = req.user.id;
+    const imagesChanged = property.isModified('images');
+    await property.save();
+
+    await PropertyRevision.record(property, 'update', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    if (imagesChanged) {
+      await flagImageConflicts(property);
+    }
+
+    // Users who saved the listing are told in the background so the response
+    // doesn't wait on their emails
+    notifyFavoriteWatchers(snapshotListing(original), property)
+      .catch(error => console.error('Favorite notifications error:', error));
+
+    await property.populate([
+      { path: 'agent', select: 'user bio specialties ratings' },
+      { path: 'agent.user', select: 'name email phone avatar' },
+      { path: 'owner', select: 'name email phone' }
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      ...(pendingFields.length > 0 && {
+        message: `Changes to ${pendingFields.join(', ')} were submitted for review and will go live once approved`
+      }),
+      data: {
+        property,
+        pendingChanges: property.pendingChangesJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Update property error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const errors = error.errors
+        ? Object.values(error.errors).map(err => err.message)
+        : [error.message];
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during property update'
+    });
+  }
+};
+
+// @desc    Delete property
+// @route   DELETE /api/properties/:id
+// @access  Private (Owner/Admin)
+const deleteProperty = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    // Check if user is owner or admin
+    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to delete this property'
+      });
+    }
+
+    await Property.findByIdAndDelete(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Property deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete property error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during property deletion'
+    });
+  }
+};
+
+// @desc    Get price per unit comparables for a property
+// @route   GET /api/properties/:id/comparables
+// @access  Public
+const getComparables = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .select('title type status price areaSqm location');
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    const radiusKm = req.query.radiusKm !== undefined ? parseFloat(req.query.radiusKm) : DEFAULT_RADIUS_KM;
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return res.status(400).json({
+        status: 'error',
+        message: `radiusKm must be between 0 and ${MAX_RADIUS_KM}`
+      });
+    }
+
+    // Compare sale prices with sales and rents with rents
+    const isRental = ['for-rent', 'rented'].includes(property.status);
+    const baseFilter = {
+      _id: { $ne: property._id },
+      type: property.type,
+      status: { $in: isRental ? ['for-rent', 'rented'] : ['for-sale', 'sold'] },
+      approvalStatus: 'approved',
+      price: { $gt: 0 },
+      areaSqm: { $gt: 0 }
+    };
+
+    // Candidate areas, narrowest first
+    const location = property.location || {};
+    const geo = location.geo && location.geo.coordinates && location.geo.coordinates.length === 2
+      ? location.geo.coordinates
+      : null;
+    const scopes = [];
+    if (geo) {
+      scopes.push({
+        scope: 'radius',
+        filter: { 'location.geo': { $geoWithin: { $centerSphere: [geo, radiusKm / EARTH_RADIUS_KM] } } }
+      });
+    }
+    if (location.taluka && location.district) {
+      scopes.push({
+        scope: 'taluka',
+        filter: { 'location.taluka': location.taluka, 'location.district': location.district }
+      });
+    }
+    if (location.district) {
+      scopes.push({ scope: 'district', filter: { 'location.district': location.district } });
+    }
+
+    const requestedScope = req.query.scope;
+    const candidates = requestedScope
+      ? scopes.filter(candidate => candidate.scope === requestedScope)
+      : scopes;
+
+    if (candidates.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: requestedScope
+          ? `Property has no location data for scope '${requestedScope}'`
+          : 'Property has no location data to compare against'
+      });
+    }
+
+    let scope = candidates[0].scope;
+    let comparables = [];
+    for (const candidate of candidates) {
+      scope = candidate.scope;
+      comparables = await Property.find({ ...baseFilter, ...candidate.filter })
+        .select('title price areaSqm location.village location.taluka location.district location.geo createdAt')
+        .sort({ createdAt: -1 })
+        .limit(MAX_COMPARABLES)
+        .lean();
+      if (comparables.length >= MIN_COMPARABLES) break;
+    }
+
+    const rows = comparables.map(comparable => {
+      const coordinates = comparable.location && comparable.location.geo && comparable.location.geo.coordinates;
+      return {
+        _id: comparable._id,
+        title: comparable.title,
+        price: comparable.price,
+        areaSqm: comparable.areaSqm,
+        pricePerSqm: round(comparable.price / comparable.areaSqm),
+        pricePerVigha: round((comparable.price / comparable.areaSqm) * SQM_PER_UNIT.vigha),
+        village: comparable.location && comparable.location.village,
+        taluka: comparable.location && comparable.location.taluka,
+        distanceKm: geo && coordinates ? round(distanceKm(geo, coordinates)) : undefined
+      };
+    });
+
+    const perSqm = rows.map(row => row.pricePerSqm);
+    const perSqmStats = summarize(perSqm);
+
+    // How this listing's asking price compares with the area
+    let subject = null;
+    if (property.price > 0 && property.areaSqm > 0) {
+      const pricePerSqm = round(property.price / property.areaSqm);
+      subject = {
+        pricePerSqm,
+        pricePerVigha: round(pricePerSqm * SQM_PER_UNIT.vigha)
+      };
+
+      if (perSqmStats.count > 0) {
+        subject.percentileRank = percentileRank(perSqm, pricePerSqm);
+        subject.differenceFromMedian = round(((pricePerSqm - perSqmStats.median) / perSqmStats.median) * 100, 1);
+        if (perSqmStats.count < MIN_COMPARABLES) {
+          subject.assessment = 'insufficient-data';
+        } else if (pricePerSqm < perSqmStats.p25) {
+          subject.assessment = 'below-market';
+        } else if (pricePerSqm > perSqmStats.p75) {
+          subject.assessment = 'above-market';
+        } else {
+          subject.assessment = 'within-market';
+        }
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        scope,
+        radiusKm: scope === 'radius' ? radiusKm : undefined,
+        subject,
+        stats: {
+          pricePerSqm: perSqmStats,
+          pricePerVigha: summarize(rows.map(row => row.pricePerVigha))
+        },
+        comparables: rows.slice(0, 20)
+      }
+    });
+  } catch (error) {
+    console.error('Get comparables error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Mark a property as sold or rented with closing details
+// @route   POST /api/properties/:id/close
+// @access  Private (Owner/Agent/Admin)
+const closeProperty = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    const isOwner = property.owner.toString() === req.user.id;
+    const isAgent = property.agent && await Agent.exists({ _id: property.agent, user: req.user.id });
+    if (!isOwner && !isAgent && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to close this property'
+      });
+    }
+
+    if (!['for-sale', 'for-rent'].includes(property.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Property is already ${property.status}`
+      });
+    }
+
+    // Sales of listings that never passed moderation don't count
+    if (property.approvalStatus !== 'approved') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only approved listings can be closed'
+      });
+    }
+
+    const closingPrice = parseFloat(req.body.closingPrice);
+    if (!Number.isFinite(closingPrice) || closingPrice <= 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A positive closing price is required'
+      });
+    }
+
+    const closedAt = req.body.closedAt ? new Date(req.body.closedAt) : new Date();
+    if (Number.isNaN(closedAt.getTime()) || closedAt > new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Closing date must be a valid date that is not in the future'
+      });
+    }
+
+    if (req.body.buyerAgent && !(await Agent.exists({ _id: req.body.buyerAgent }))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Buyer-side agent not found'
+      });
+    }
+
+    const outcome = property.status === 'for-rent' ? 'rented' : 'sold';
+    const keepListed = req.body.keepListed === true || req.body.keepListed === 'true';
+    const creditedAgent = outcome === 'sold' && property.agent ? property.agent : undefined;
+
+    // Closing the listing and crediting the agent commit together, so the
+    // agent's totals never drift from the closed listings
+    let closed;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Only close a listing that is still open, so counters are never applied twice
+        closed = await Property.findOneAndUpdate(
+          { _id: property._id, status: property.status, approvalStatus: 'approved' },
+          {
+            $set: {
+              status: outcome,
+              isPublished: keepListed,
+              closing: {
+                outcome,
+                price: closingPrice,
+                closedAt,
+                buyerAgent: req.body.buyerAgent || undefined,
+                closedBy: req.user.id,
+                creditedAgent,
+                keepListed,
+                notes: req.body.notes
+              }
+            }
+          },
+          { new: true, runValidators: true, session }
+        );
+
+        // Credit the listing agent with the sale
+        if (closed && creditedAgent) {
+          await Agent.updateOne(
+            { _id: creditedAgent },
+            { $inc: { propertiesSold: 1, totalSales: closingPrice } },
+            { session }
+          );
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!closed) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Property was closed by another request'
+      });
+    }
+
+    await PropertyRevision.record(closed, 'close', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    notifyFavoriteWatchers(snapshotListing(property), closed)
+      .catch(error => console.error('Favorite notifications error:', error));
+
+    res.status(200).json({
+      status: 'success',
+      message: `Property marked as ${outcome}`,
+      data: {
+        property: closed
+      }
+    });
+  } catch (error) {
+    console.error('Close property error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation error',
+        errors: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while closing property'
+    });
+  }
+};
+
+// @desc    Renew an approved listing for another lifetime
+// @route   POST /api/properties/:id/renew
+// @access  Private (Owner/Admin)
+const renewProperty = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    // Check if user is owner or admin
+    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to renew this property'
+      });
+    }
+
+    if (property.approvalStatus !== 'approved') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only approved listings can be renewed'
+      });
+    }
+
+    if (['sold', 'rented'].includes(property.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A ${property.status} listing cannot be renewed`
+      });
+    }
+
+    property.expiresAt = getExpiryDate(property.type, property.status);
+    property.expiryReminderSentAt = undefined;
+    property.expiredAt = undefined;
+    property.isPublished = true;
+
+    await property.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Listing renewed successfully',
+      data: {
+        expiresAt: property.expiresAt,
+        property
+      }
+    });
+  } catch (error) {
+    console.error('Renew property error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during property renewal'
+    });
+  }
+};
+
+// Apply a gallery edit to the images queued for moderation as well, so that
+// approving the queued change later doesn't bring back the old gallery.
+// `edit` gets the queued images (plain objects) and returns the new array.
+const editPendingImages = (property, edit) => {
+  const pending = property.pendingChanges;
+  if (!pending || pending.status !== 'pending' || !pending.fields || !Array.isArray(pending.fields.images)) return;
+
+  property.set('pendingChanges.fields', { ...pending.fields, images: edit(pending.fields.images) });
+  property.markModified('pendingChanges.fields');
+};
+
+const isImage = (id) => (image) => String(image._id) === String(id);
+
+// Gallery state returned by the image endpoints
+const galleryOf = (property) => ({
+  images: property.images,
+  primaryImage: property.primaryImage
+});
+
+// @desc    Reorder property images
+// @route   PUT /api/properties/:id/images/order
+// @access  Private (Owner/Agent/Admin)
+const reorderPropertyImages = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    if (!(await canManageProperty(property, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to manage images of this property'
+      });
+    }
+
+    // The new order must list every image exactly once
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : [];
+    const imageIds = property.images.map(image => image._id.toString());
+    const isPermutation = order.length === imageIds.length &&
+      new Set(order).size === order.length &&
+      order.every(id => imageIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'order must list every image id of the property exactly once'
+      });
+    }
+
+    const images = order.map(id => property.images.id(id).toObject());
+    property.images = images;
+
+    // Queued images keep their place among the reordered ones; new uploads
+    // waiting for review stay at the end
+    const position = new Map(order.map((id, index) => [id, index]));
+    const rank = (image) => (position.has(String(image._id)) ? position.get(String(image._id)) : order.length);
+    editPendingImages(property, queued => [...queued].sort((a, b) => rank(a) - rank(b)));
+
+    await property.save();
+
+    await PropertyRevision.record(property, 'update', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Images reordered successfully',
+      data: galleryOf(property)
+    });
+  } catch (error) {
+    console.error('Reorder property images error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while reordering images'
+    });
+  }
+};
+
+// @desc    Set the primary property image
+// @route   PUT /api/properties/:id/images/:imageId/primary
+// @access  Private (Owner/Agent/Admin)
+const setPrimaryPropertyImage = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    if (!(await canManageProperty(property, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to manage images of this property'
+      });
+    }
+
+    const image = property.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Image not found'
+      });
+    }
+
+    property.images.forEach(item => {
+      item.isPrimary = item._id.equals(image._id);
+    });
+    editPendingImages(property, queued => (queued.some(isImage(image._id))
+      ? queued.map(item => ({ ...item, isPrimary: isImage(image._id)(item) }))
+      : queued));
+
+    await property.save();
+
+    await PropertyRevision.record(property, 'update', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Primary image updated successfully',
+      data: galleryOf(property)
+    });
+  } catch (error) {
+    console.error('Set primary property image error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while setting primary image'
+    });
+  }
+};
+
+// @desc    Update alt text of a property image
+// @route   PUT /api/properties/:id/images/:imageId
+// @access  Private (Owner/Agent/Admin)
+const updatePropertyImage = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    if (!(await canManageProperty(property, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to manage images of this property'
+      });
+    }
+
+    const image = property.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Image not found'
+      });
+    }
+
+    if (typeof req.body.alt !== 'string' || req.body.alt.trim().length > 200) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Alt text is required and cannot be more than 200 characters'
+      });
+    }
+
+    image.alt = req.body.alt.trim();
+    editPendingImages(property, queued => queued
+      .map(item => (isImage(image._id)(item) ? { ...item, alt: image.alt } : item)));
+
+    await property.save();
+
+    await PropertyRevision.record(property, 'update', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Image updated successfully',
+      data: galleryOf(property)
+    });
+  } catch (error) {
+    console.error('Update property image error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while updating image'
+    });
+  }
+};
+
+// @desc    Delete a property image and remove it from storage
+// @route   DELETE /api/properties/:id/images/:imageId
+// @access  Private (Owner/Agent/Admin)
+const deletePropertyImage = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    if (!(await canManageProperty(property, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to manage images of this property'
+      });
+    }
+
+    const image = property.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Image not found'
+      });
+    }
+
+    // Only files the upload pipeline recorded for this image are removed, and
+    // each is kept while another image still uses it
+    for (const file of new Set(image.storedFiles)) {
+      if (!(await isImageFileShared(property, image, file))) {
+        await deleteStoredFile(file);
+      }
+    }
+
+    const wasPrimary = image.isPrimary;
+    property.images.pull(image._id);
+    if (wasPrimary && property.images.length > 0) {
+      property.images[0].isPrimary = true;
+    }
+    editPendingImages(property, queued => {
+      const remaining = queued.filter(item => !isImage(image._id)(item));
+      if (remaining.length > 0 && !remaining.some(item => item.isPrimary)) {
+        remaining[0] = { ...remaining[0], isPrimary: true };
+      }
+      return remaining;
+    });
+
+    await property.save();
+
+    await PropertyRevision.record(property, 'update', req.user.id)
+      .catch(error => console.error('Record property revision error:', error));
+
+    await flagImageConflicts(property);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Image deleted successfully',
+      data: galleryOf(property)
+    });
+  } catch (error) {
+    console.error('Delete property image error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while deleting image'
+    });
+  }
+};
+
+// @desc    Get a short-lived download link for a property document
+// @route   GET /api/properties/:id/documents/:docId
+// @access  Private (Owner/Agent/Admin/Granted buyers)
+const getPropertyDocument = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    const isGranted = property.documentAccess.some(grant => grant.user.toString() === req.user.id);
+    if (!isGranted && !(await canManageProperty(property, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to access documents of this property'
+      });
+    }
+
+    const document = property.documents.id(req.params.docId);
+
+    if (!document) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Document not found'
+      });
+    }
+
+    const expiresIn = storageConfig.signedUrlSeconds;
+    // Documents from outside our storage only have their original URL
+    const url = await getSignedUrl(document.key || document.url, { expiresIn }) || document.url;
+
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).json({
+      status: 'success',
+      data: {
+        document: {
+          _id: document._id,
+          type: document.type,
+          name: document.name,
+          status: document.status,
+          uploadedAt: document.uploadedAt
+        },
+        url,
+        expiresAt: new Date(Date.now() + expiresIn * 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Get property document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching document'
+    });
+  }
+};
+
+// @desc    Get buyers allowed to download the property documents
+// @route   GET /api/properties/:id/documents/access
+// @access  Private (Owner/Admin)
+const getDocumentAccess = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .select('owner documentAccess')
+      .populate('documentAccess.user', 'name email phone');
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to manage document access of this property'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        documentAccess: property.documentAccess
+      }
+    });
+  } catch (error) {
+    console.error('Get document access error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while fetching document access'
+    });
+  }
+};
+
+// @desc    Allow a buyer to download the property documents
+// @route   POST /api/properties/:id/documents/access
+// @access  Private (Owner/Admin)
+const grantDocumentAccess = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id);
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to manage document access of this property'
+      });
+    }
+
+    const { userId, email } = req.body;
+    if (!userId && !email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'userId or email of the buyer is required'
+      });
+    }
+
+    const user = userId
+      ? await User.findById(userId).select('name email')
+      : await User.findOne({ email: String(email).toLowerCase().trim() }).select('name email');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(property.owner)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The owner already has access to the documents'
+      });
+    }
+
+    const alreadyGranted = property.documentAccess.some(grant => grant.user.equals(user._id));
+    if (!alreadyGranted) {
+      property.documentAccess.push({ user: user._id, grantedBy: req.user.id });
+      await property.save();
+    }
+
+    res.status(alreadyGranted ? 200 : 201).json({
+      status: 'success',
+      message: alreadyGranted
+        ? `${user.name} already has access to the documents`
+        : `${user.name} can now download the documents`,
+      data: {
+        documentAccess: property.documentAccess
+      }
+    });
+  } catch (error) {
+    console.error('Grant document access error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid user id'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error while granting document access'
     });
   }
 };
 
-// @desc    Get single property
-// @route   GET /api/properties/:id
-// @access  Public
-const getProperty = async (req, res) => {
+// @desc    Revoke a buyer's access to the property documents
+// @route   DELETE /api/properties/:id/documents/access/:userId
+// @access  Private (Owner/Admin)
+const revokeDocumentAccess = async (req, res) => {
   try {
-    const property = await Property.findById(req.params.id)
-      .populate('agent', 'user bio specialties ratings experience')
-      .populate('agent.user', 'name email phone avatar')
-      .populate('owner', 'name email phone');
+    const property = await Property.findById(req.params.id);
 
     if (!property) {
       return res.status(404).json({
@@ -147,239 +1804,96 @@ const getProperty = async (req, res) => {
       });
     }
 
+    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to manage document access of this property'
+      });
+    }
+
+    const remaining = property.documentAccess.filter(grant => grant.user.toString() !== req.params.userId);
+    if (remaining.length === property.documentAccess.length) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User does not have access to the documents'
+      });
+    }
+
+    property.documentAccess = remaining;
+    await property.save();
+
     res.status(200).json({
       status: 'success',
+      message: 'Document access revoked',
       data: {
-        property
+        documentAccess: property.documentAccess
       }
     });
   } catch (error) {
-    console.error('Get property error:', error);
+    console.error('Revoke document access error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Server error'
+      message: 'Server error while revoking document access'
     });
   }
 };
 
-// @desc    Create new property
-// @route   POST /api/properties
-// @access  Private (Agent/Admin)
-const createProperty = async (req, res) => {
-  try {
-    console.log('Creating property with data:', req.body);
-    console.log('Files received:', req.files);
-
-    const propertyData = { ...req.body };
-
-    // Handle uploaded images
-    if (req.files && req.files.images && req.files.images.length > 0) {
-      propertyData.images = req.files.images.map((file, index) => ({
-        url: file.path,
-        alt: file.originalname,
-        isPrimary: index === 0
-      }));
-    } else {
-      propertyData.images = [];
-    }
-
-    // Handle document uploads
-    if (req.files) {
-      propertyData.documents = {};
-
-      // Handle specific document types
-      if (req.files.document712 && req.files.document712.length > 0) {
-        propertyData.documents.document712 = req.files.document712[0].path;
-      }
-      if (req.files.document8A && req.files.document8A.length > 0) {
-        propertyData.documents.document8A = req.files.document8A[0].path;
-      }
-      if (req.files.documentUtarotar && req.files.documentUtarotar.length > 0) {
-        propertyData.documents.documentUtarotar = req.files.documentUtarotar[0].path;
-      }
-      if (req.files.otherDocuments && req.files.otherDocuments.length > 0) {
-        propertyData.documents.otherDocuments = req.files.otherDocuments.map(file => file.path);
-      }
-    } else {
-      propertyData.documents = {};
-    }
-
-    // Handle land information
-    if (propertyData.type === 'land') {
-      propertyData.landInfo = {
-        fencing: propertyData.fencing,
-        borewell: propertyData.borewell,
-        houseOnLand: propertyData.houseOnLand,
-        electricity: propertyData.electricity,
-        expectedPricePerUnit: propertyData.expectedPricePerUnit ? parseFloat(propertyData.expectedPricePerUnit) : undefined,
-        paymentTerms: propertyData.paymentTerms,
-        legacyLand: propertyData.legacyLand
-      };
-    }
-
-    // Handle contact information
-    propertyData.contactInfo = {
-      name: propertyData.contactName,
-      email: propertyData.contactEmail,
-      phone: propertyData.contactPhone,
-      whatsappNumber: propertyData.whatsappNumber,
-      preferredContact: propertyData.preferredContact
-    };
-
-    // Handle location coordinates - build complete location object
-    propertyData.location = {
-      address: propertyData.address || `${propertyData.village || ''}, ${propertyData.taluka || ''}, ${propertyData.district || ''}, ${propertyData.state || ''}`,
-      city: propertyData.city || propertyData.taluka || propertyData.district || '',
-      state: propertyData.state,
-      district: propertyData.district,
-      taluka: propertyData.taluka,
-      village: propertyData.village,
-      zipCode: propertyData.zipCode || propertyData.pincode || '',
-      country: propertyData.country || 'India',
-      coordinates: {
-        latitude: parseFloat(propertyData.latitude) || 0,
-        longitude: parseFloat(propertyData.longitude) || 0
-      }
-    };
-
-    // Handle amenities array
-    if (propertyData.amenities) {
-      try {
-        propertyData.amenities = JSON.parse(propertyData.amenities);
-      } catch (e) {
-        propertyData.amenities = [];
-      }
-    } else {
-      propertyData.amenities = [];
-    }
-
-    // Handle disadvantages array
-    if (propertyData.disadvantages) {
-      try {
-        // Check if it's already an array or a JSON string
-        if (typeof propertyData.disadvantages === 'string') {
-           // Try parsing if it looks like JSON array
-           if (propertyData.disadvantages.trim().startsWith('[')) {
-               propertyData.disadvantages = JSON.parse(propertyData.disadvantages);
-           } else {
-               // If it's a single string value, make it an array
-               propertyData.disadvantages = [propertyData.disadvantages];
-           }
-        }
-      } catch (e) {
-        propertyData.disadvantages = [];
-      }
-    } else {
-      propertyData.disadvantages = [];
-    }
-
-    // Handle Government Details
-    propertyData.govDetails = {
-        khaataNumber: propertyData.khaataNumber,
-        surveyNumber: propertyData.surveyNumber,
-        area: propertyData.govArea // Mapping from frontend 'govArea' to model 'area' inside govDetails
-    };
-
-    // Handle insertedBy
-    propertyData.insertedBy = propertyData.insertedBy || 'Owner';
+// Who changed a price, as a role only since the price history is public
+const priceChangeActor = (user, ownerId) => {
+  if (!user) return null;
+  if (user._id.equals(ownerId)) return 'owner';
+  return ['admin', 'agent'].includes(user.role) ? user.role : null;
+};
 
-    // Set owner to current user
-    propertyData.owner = req.user.id;
+// @desc    Get price history of a property
+// @route   GET /api/properties/:id/price-history
+// @access  Public
+const getPriceHistory = async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .select('title price priceHistory priceReduction createdAt owner')
+      .populate('priceHistory.changedBy', 'role');
 
-    // If user is an agent, link their agent profile
-    if (req.user.role === 'agent') {
-      const agentProfile = await Agent.findOne({ user: req.user.id });
-      if (agentProfile) {
-        propertyData.agent = agentProfile._id;
-      }
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
     }
 
-    // Set default values
-    propertyData.isPublished = false; // Require approval
-    propertyData.isActive = true;
-    propertyData.approvalStatus = 'pending'; // Default status
-
-    // Normalize numeric optional fields
-    if (propertyData.bathrooms !== undefined && propertyData.bathrooms !== '') {
-      propertyData.bathrooms = parseInt(propertyData.bathrooms, 10);
-    }
-    if (propertyData.balconies !== undefined && propertyData.balconies !== '') {
-      propertyData.balconies = parseInt(propertyData.balconies, 10);
-    }
-
-    // Clean up the data - remove fields that shouldn't be in the model
-    delete propertyData.contactName;
-    delete propertyData.contactEmail;
-    delete propertyData.contactPhone;
-    delete propertyData.whatsappNumber;
-    delete propertyData.preferredContact;
-    delete propertyData.latitude;
-    delete propertyData.longitude;
-    delete propertyData.address;
-    delete propertyData.city;
-    delete propertyData.state;
-    delete propertyData.zipCode;
-    delete propertyData.country;
-    delete propertyData.khaataNumber;
-    delete propertyData.govArea;
-    // surveyNumber might be used in documents too, but if it matches, fine. 
-    // If it was in root, remove it after mapping to govDetails
-    if (propertyData.govDetails.surveyNumber) delete propertyData.surveyNumber;
-
-    console.log('Final property data:', propertyData);
-
-    const property = await Property.create(propertyData);
-
-    // Populate the created property
-    await property.populate([
-      { path: 'agent', select: 'user bio specialties ratings' },
-      { path: 'agent.user', select: 'name email phone avatar' },
-      { path: 'owner', select: 'name email phone' }
-    ]);
+    const history = property.priceHistory;
 
-    res.status(201).json({
-      success: true,
-      message: 'Property submitted successfully and is pending approval',
+    res.status(200).json({
+      status: 'success',
       data: {
-        property
+        currentPrice: property.price,
+        originalPrice: history.length > 0 ? history[0].oldPrice : property.price,
+        priceReduction: property.priceReduction && property.priceReduction.amount
+          ? property.priceReduction
+          : null,
+        history: history.map(change => ({
+          oldPrice: change.oldPrice,
+          newPrice: change.newPrice,
+          changedAt: change.changedAt,
+          changedBy: priceChangeActor(change.changedBy, property.owner)
+        })).reverse()
       }
     });
   } catch (error) {
-    console.error('Create property error:', error);
-
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors
-      });
-    }
-
-    // Handle duplicate key errors
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Duplicate entry error',
-        error: 'A property with this information already exists'
-      });
-    }
-
+    console.error('Get price history error:', error);
     res.status(500).json({
-      success: false,
-      message: 'Server error during property creation',
-      error: error.message
+      status: 'error',
+      message: 'Server error'
     });
   }
 };
 
-// @desc    Update property
-// @route   PUT /api/properties/:id
+// @desc    Get revision history of a property
+// @route   GET /api/properties/:id/revisions
 // @access  Private (Owner/Admin)
-const updateProperty = async (req, res) => {
+const getPropertyRevisions = async (req, res) => {
   try {
-    let property = await Property.findById(req.params.id);
+    const property = await Property.findById(req.params.id).select('owner');
 
     if (!property) {
       return res.status(404).json({
@@ -392,52 +1906,52 @@ const updateProperty = async (req, res) => {
     if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({
         status: 'error',
-        message: 'Not authorized to update this property'
+        message: 'Not authorized to view revisions of this property'
       });
     }
 
-    // Handle uploaded images
-    if (req.files && req.files.length > 0) {
-      const newImages = req.files.map((file, index) => ({
-        url: file.path,
-        alt: file.originalname,
-        isPrimary: index === 0 && property.images.length === 0
-      }));
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
 
-      req.body.images = [...property.images, ...newImages];
-    }
+    const revisions = await PropertyRevision.find({ property: property._id })
+      .select('-snapshot')
+      .populate('user', 'name email role')
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(limit);
 
-    property = await Property.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate([
-      { path: 'agent', select: 'user bio specialties ratings' },
-      { path: 'agent.user', select: 'name email phone avatar' },
-      { path: 'owner', select: 'name email phone' }
-    ]);
+    const total = await PropertyRevision.countDocuments({ property: property._id });
 
     res.status(200).json({
       status: 'success',
       data: {
-        property
+        revisions,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
       }
     });
   } catch (error) {
-    console.error('Update property error:', error);
+    console.error('Get property revisions error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Server error during property update'
+      message: 'Server error'
     });
   }
 };
 
-// @desc    Delete property
-// @route   DELETE /api/properties/:id
-// @access  Private (Owner/Admin)
-const deleteProperty = async (req, res) => {
+// @desc    Get the edits of a property waiting for moderation
+// @route   GET /api/properties/:id/pending-changes
+// @access  Private (Owner/Assigned agent/Admin)
+const getPendingChanges = async (req, res) => {
   try {
-    const property = await Property.findById(req.params.id);
+    const property = await Property.findById(req.params.id)
+      .select('owner agent pendingChanges')
+      .populate('pendingChanges.requestedBy', 'name email')
+      .populate('pendingChanges.reviewedBy', 'name');
 
     if (!property) {
       return res.status(404).json({
@@ -446,25 +1960,30 @@ const deleteProperty = async (req, res) => {
       });
     }
 
-    // Check if user is owner or admin
-    if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!(await canManageProperty(property, req.user))) {
       return res.status(403).json({
         status: 'error',
-        message: 'Not authorized to delete this property'
+        message: 'Not authorized to view pending changes of this property'
       });
     }
 
-    await Property.findByIdAndDelete(req.params.id);
-
     res.status(200).json({
       status: 'success',
-      message: 'Property deleted successfully'
+      data: {
+        pendingChanges: property.pendingChangesJSON()
+      }
     });
   } catch (error) {
-    console.error('Delete property error:', error);
+    console.error('Get pending changes error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
     res.status(500).json({
       status: 'error',
-      message: 'Server error during property deletion'
+      message: 'Server error'
     });
   }
 };
@@ -478,7 +1997,8 @@ const getFeaturedProperties = async (req, res) => {
 
     const properties = await Property.find({
       isFeatured: true,
-      isPublished: true
+      isPublished: true,
+      expiresAt: { $not: { $lte: new Date() } }
     })
       .populate('agent', 'user bio specialties ratings')
       .populate('agent.user', 'name email phone avatar')
@@ -638,25 +2158,54 @@ const searchProperties = async (req, res) => {
 // @access  Private
 const addToFavorites = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
     const propertyId = req.params.id;
 
-    if (user.favorites.includes(propertyId)) {
+    if (!await Property.exists({ _id: propertyId })) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    // Saved to the default collection unless the client picks another one
+    const collection = req.body.collectionId
+      ? await FavoriteCollection.findOne({ _id: req.body.collectionId, user: req.user.id })
+      : await FavoriteCollection.getDefault(req.user.id);
+
+    if (!collection) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Collection not found'
+      });
+    }
+
+    if (collection.items.some(item => item.property.toString() === propertyId)) {
       return res.status(400).json({
         status: 'error',
         message: 'Property already in favorites'
       });
     }
 
-    user.favorites.push(propertyId);
-    await user.save();
+    collection.items.push({ property: propertyId, note: req.body.note });
+    await collection.save();
 
     res.status(200).json({
       status: 'success',
-      message: 'Property added to favorites'
+      message: 'Property added to favorites',
+      data: {
+        collection: collection._id
+      }
     });
   } catch (error) {
     console.error('Add to favorites error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property or collection not found'
+      });
+    }
+
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -669,13 +2218,11 @@ const addToFavorites = async (req, res) => {
 // @access  Private
 const removeFromFavorites = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    const propertyId = req.params.id;
-
-    user.favorites = user.favorites.filter(
-      fav => fav.toString() !== propertyId
+    // Removed from every collection of the user
+    await FavoriteCollection.updateMany(
+      { user: req.user.id, 'items.property': req.params.id },
+      { $pull: { items: { property: req.params.id } } }
     );
-    await user.save();
 
     res.status(200).json({
       status: 'success',
@@ -695,18 +2242,21 @@ const removeFromFavorites = async (req, res) => {
 // @access  Private
 const getFavoriteProperties = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).populate({
-      path: 'favorites',
-      populate: [
-        { path: 'agent', select: 'user bio specialties ratings' },
-        { path: 'agent.user', select: 'name email phone avatar' }
-      ]
-    });
+    await FavoriteCollection.getDefault(req.user.id);
+    const ids = await FavoriteCollection.propertyIdsOf(req.user.id);
+
+    const properties = await Property.find({ _id: { $in: ids } })
+      .populate('agent', 'user bio specialties ratings')
+      .populate('agent.user', 'name email phone avatar');
+
+    // Most recently saved first
+    const order = new Map(ids.map((id, index) => [id.toString(), index]));
+    properties.sort((a, b) => order.get(a._id.toString()) - order.get(b._id.toString()));
 
     res.status(200).json({
       status: 'success',
       data: {
-        properties: user.favorites
+        properties
       }
     });
   } catch (error) {
@@ -718,18 +2268,77 @@ const getFavoriteProperties = async (req, res) => {
   }
 };
 
-// @desc    Increment property views
+// @desc    Record a view of a property; owners, assigned agents, admins,
+//          bots and repeat views within the dedup window are not counted
 // @route   GET /api/properties/:id
 // @access  Public
-const incrementViews = async (req, res, next) => {
+const recordView = async (req, res, next) => {
+  try {
+    const property = await Property.findById(req.params.id).select('owner agent');
+    if (property) {
+      await recordPropertyView(property, req);
+    }
+  } catch (error) {
+    console.error('Record view error:', error);
+  }
+  next();
+};
+
+// @desc    Get daily unique views of a property
+// @route   GET /api/properties/:id/views
+// @access  Private (Owner/Assigned agent/Admin)
+const getPropertyViews = async (req, res) => {
   try {
-    await Property.findByIdAndUpdate(req.params.id, {
-      $inc: { views: 1 }
+    const property = await Property.findById(req.params.id).select('owner agent views');
+
+    if (!property) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+
+    if (!(await canManageProperty(property, req.user))) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view the statistics of this property'
+      });
+    }
+
+    const days = Math.min(parseInt(req.query.days) || 30, propertyViews.retentionDays);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const daily = await PropertyView.aggregate([
+      { $match: { property: property._id, counted: true, viewedAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$viewedAt', timezone: propertyViews.timezone } },
+          views: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        totalViews: property.views,
+        days,
+        daily: daily.map(day => ({ date: day._id, views: day.views }))
+      }
     });
-    next();
   } catch (error) {
-    console.error('Increment views error:', error);
-    next();
+    console.error('Get property views error:', error);
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Property not found'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
   }
 };
 
@@ -751,7 +2360,9 @@ const uploadImages = async (req, res) => {
       id: `img_${Date.now()}_${index}`,
       url: file.path,
       alt: file.originalname,
-      isPrimary: index === 0
+      isPrimary: index === 0,
+      renditions: file.renditions,
+      hash: file.hash
     }));
 
     res.status(200).json({
@@ -882,18 +2493,36 @@ module.exports = {
   getProperties,
   getProperty,
   createProperty,
+  importProperties,
+  getImportTemplate,
   updateProperty,
   deleteProperty,
   getFeaturedProperties,
+  getComparables,
+  closeProperty,
+  renewProperty,
+  reorderPropertyImages,
+  setPrimaryPropertyImage,
+  updatePropertyImage,
+  deletePropertyImage,
+  getPropertyDocument,
+  getDocumentAccess,
+  grantDocumentAccess,
+  revokeDocumentAccess,
+  getPriceHistory,
+  getPropertyRevisions,
+  getPendingChanges,
   getPropertiesByAgent,
   getPropertiesByType,
   searchProperties,
   addToFavorites,
   removeFromFavorites,
   getFavoriteProperties,
-  incrementViews,
+  recordView,
+  getPropertyViews,
   uploadImages,
   getMyProperties,
+  exportMyProperties,
   getCategoryCounts,
   getUniqueLocations
 };
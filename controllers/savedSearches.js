@@ -0,0 +1,331 @@
+const SavedSearch = require('../models/SavedSearch');
+const { LISTING_FILTER_PARAMS, buildListingFilter } = require('../utils/propertyFilters');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Check a filter set sent by the client. Returns { filters } with the values as
+// strings (the way they arrive on GET /api/properties) or { error }.
+const parseFilters = (input) => {
+  if (input === undefined || input === null) return { filters: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'filters must be an object of GET /api/properties query parameters' };
+  }
+
+  const unknown = Object.keys(input).filter(key => !LISTING_FILTER_PARAMS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown filters: ${unknown.join(', ')}` };
+  }
+
+  const filters = {};
+  Object.entries(input).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') filters[key] = String(value);
+  });
+
+  const { error } = buildListingFilter(filters);
+  return error ? { error } : { filters };
+};
+
+// @desc    Get saved searches of the logged-in user
+// @route   GET /api/saved-searches
+// @access  Private
+const getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        searches
+      }
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get a saved search
+// @route   GET /api/saved-searches/:id
+// @access  Private
+const getSavedSearch = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!search) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        search
+      }
+    });
+  } catch (error) {
+    console.error('Get saved search error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Save a search
+// @route   POST /api/saved-searches
+// @access  Private
+const createSavedSearch = async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.body.filters);
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user.id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        status: 'error',
+        message: `You can save at most ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: req.user.id,
+      name: req.body.name,
+      filters,
+      frequency: req.body.frequency,
+      emailAlerts: req.body.emailAlerts
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Search saved',
+      data: {
+        search
+      }
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update a saved search
+// @route   PUT /api/saved-searches/:id
+// @access  Private
+const updateSavedSearch = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!search) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Saved search not found'
+      });
+    }
+
+    if (req.body.filters !== undefined) {
+      const { filters, error } = parseFilters(req.body.filters);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error
+        });
+      }
+      search.filters = filters;
+    }
+
+    ['name', 'frequency', 'emailAlerts'].forEach(field => {
+      if (req.body[field] !== undefined) search[field] = req.body[field];
+    });
+
+    // Turning alerts back on should not send everything approved while they were off
+    if (search.isModified('emailAlerts') && search.emailAlerts) {
+      search.lastNotifiedAt = new Date();
+    }
+
+    await search.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Saved search updated',
+      data: {
+        search
+      }
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!search) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+// Unsubscribe links are opened from emails, so browsers get a small page
+// (`html`, already escaped) and API clients the JSON `body`
+const sendUnsubscribeResponse = (res, statusCode, body, html) => {
+  res.status(statusCode).format({
+    json: () => res.json(body),
+    html: () => res.send(
+      '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Locatex alerts</title></head>' +
+      `<body>${html}</body></html>`
+    )
+  });
+};
+
+const invalidUnsubscribeLink = (res) => sendUnsubscribeResponse(res, 404, {
+  status: 'error',
+  message: 'This unsubscribe link is no longer valid'
+}, '<p>This unsubscribe link is no longer valid.</p>');
+
+// @desc    Ask to confirm stopping email alerts of a saved search (link in a digest)
+// @route   GET /api/saved-searches/unsubscribe/:token
+// @access  Public
+const getSavedSearchUnsubscribe = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ unsubscribeToken: req.params.token })
+      .select('name emailAlerts');
+
+    if (!search) return invalidUnsubscribeLink(res);
+
+    // Link scanners and prefetchers only ever GET, so nothing changes until the form is posted
+    sendUnsubscribeResponse(res, 200, {
+      status: 'success',
+      data: {
+        name: search.name,
+        emailAlerts: search.emailAlerts
+      },
+      message: `POST to this URL to stop emails for "${search.name}"`
+    }, `<p>Stop emails for the saved search "${escapeHtml(search.name)}"?</p>` +
+      '<form method="post"><button type="submit">Unsubscribe</button></form>');
+  } catch (error) {
+    console.error('Get saved search unsubscribe error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Stop email alerts of a saved search
+// @route   POST /api/saved-searches/unsubscribe/:token
+// @access  Public
+const unsubscribeSavedSearch = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndUpdate(
+      { unsubscribeToken: req.params.token },
+      { $set: { emailAlerts: false } },
+      { new: true }
+    );
+
+    if (!search) return invalidUnsubscribeLink(res);
+
+    const message = `You will no longer receive emails for "${search.name}"`;
+    sendUnsubscribeResponse(res, 200, {
+      status: 'success',
+      message
+    }, `<p>${escapeHtml(message)}.</p>`);
+  } catch (error) {
+    console.error('Unsubscribe saved search error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchUnsubscribe,
+  unsubscribeSavedSearch
+};
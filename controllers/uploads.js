@@ -0,0 +1,38 @@
+const { verifySignature, resolveFilePath } = require('../utils/storage/local');
+
+// @desc    Download a private file through a signed link
+// @route   GET /uploads/private/*
+// @access  Signed link
+const getPrivateFile = (req, res) => {
+  const key = `private/${req.params[0]}`;
+
+  if (!verifySignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Link is invalid or has expired'
+    });
+  }
+
+  const filePath = resolveFilePath(key);
+  if (!filePath) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'File not found'
+    });
+  }
+
+  res.sendFile(filePath, {
+    headers: { 'Cache-Control': 'private, no-store' }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 404 ? 404 : 500).json({
+        status: 'error',
+        message: error.status === 404 ? 'File not found' : 'Server error while sending file'
+      });
+    }
+  });
+};
+
+module.exports = {
+  getPrivateFile
+};
@@ -1,6 +1,11 @@
 const User = require('../models/User');
 const Agent = require('../models/Agent');
 const Property = require('../models/Property');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const Notification = require('../models/Notification');
+const PropertyView = require('../models/PropertyView');
+const SavedSearch = require('../models/SavedSearch');
+const { getRejectedFields } = require('../utils/writePolicy');
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/users
@@ -67,14 +72,52 @@ const getUsers = async (req, res) => {
   }
 };
 
+// @desc    Get properties the logged-in user viewed, most recent first
+// @route   GET /api/users/me/recently-viewed
+// @access  Private
+const getRecentlyViewed = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    // Latest view of each property (events written before lastViewedAt only have viewedAt)
+    const views = await PropertyView.aggregate([
+      { $match: { user: req.user._id } },
+      { $group: { _id: '$property', viewedAt: { $max: { $ifNull: ['$lastViewedAt', '$viewedAt'] } } } },
+      { $sort: { viewedAt: -1 } },
+      { $limit: limit }
+    ]);
+
+    const properties = await Property.find({ _id: { $in: views.map(view => view._id) } })
+      .select('title price status type images location totalArea areaUnit isPublished');
+    const byId = new Map(properties.map(property => [property._id.toString(), property]));
+
+    // Listings deleted since are left out
+    const recentlyViewed = views
+      .filter(view => byId.has(view._id.toString()))
+      .map(view => ({ property: byId.get(view._id.toString()), viewedAt: view.viewedAt }));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        recentlyViewed
+      }
+    });
+  } catch (error) {
+    console.error('Get recently viewed error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get single user
 // @route   GET /api/users/:id
 // @access  Private (Admin/Owner)
 const getUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('-password')
-      .populate('favorites');
+      .select('-password');
 
     if (!user) {
       return res.status(404).json({
@@ -91,10 +134,15 @@ const getUser = async (req, res) => {
       });
     }
 
+    const favorites = await Property.find({ _id: { $in: await FavoriteCollection.propertyIdsOf(user._id) } });
+
     res.status(200).json({
       status: 'success',
       data: {
-        user
+        user: {
+          ...user.toJSON(),
+          favorites
+        }
       }
     });
   } catch (error) {
@@ -128,6 +176,15 @@ const updateUser = async (req, res) => {
       });
     }
 
+    const rejectedFields = getRejectedFields('user', req.user.role === 'admin' ? 'admin' : 'self', req.body);
+    if (rejectedFields.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Not allowed to update: ${rejectedFields.join(', ')}`,
+        rejectedFields
+      });
+    }
+
     user = await User.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -235,6 +292,12 @@ const deleteUser = async (req, res) => {
     // Delete associated agent profile if exists
     await Agent.findOneAndDelete({ user: userId });
 
+    // Delete their favorite collections, notifications, viewing history and saved searches
+    await FavoriteCollection.deleteMany({ user: userId });
+    await Notification.deleteMany({ user: userId });
+    await PropertyView.deleteMany({ user: userId });
+    await SavedSearch.deleteMany({ user: userId });
+
     // Delete user
     await User.findByIdAndDelete(userId);
 
@@ -341,6 +404,7 @@ const getUsersByRole = async (req, res) => {
 
 module.exports = {
   getUsers,
+  getRecentlyViewed,
   getUser,
   updateUser,
   updateUserRole,
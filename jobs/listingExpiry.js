@@ -0,0 +1,127 @@
+const Property = require('../models/Property');
+const sendEmail = require('../utils/sendEmail');
+const frontendUrl = require('../utils/frontendUrl');
+const { snapshotListing, notifyFavoriteWatchers } = require('../utils/favoriteNotifications');
+const { listingExpiry, getExpiryDate } = require('../config/listingExpiry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ownerEmail = (property) =>
+  (property.owner && property.owner.email) || (property.contactInfo && property.contactInfo.email);
+
+const notifyOwner = async (property, subject, message) => {
+  const email = ownerEmail(property);
+  if (!email) return false;
+
+  try {
+    await sendEmail({ email, subject, message });
+    return true;
+  } catch (error) {
+    console.error(`Listing expiry email to ${email} failed:`, error.message);
+    return false;
+  }
+};
+
+// Approved listings published before expiry existed get a fresh lifetime
+const backfillExpiry = async () => {
+  const properties = await Property.find({
+    approvalStatus: 'approved',
+    expiresAt: { $exists: false }
+  }).select('type status');
+
+  for (const property of properties) {
+    await Property.updateOne(
+      { _id: property._id },
+      { $set: { expiresAt: getExpiryDate(property.type, property.status) } }
+    );
+  }
+  return properties.length;
+};
+
+// Email owners whose listing expires within the reminder window
+const sendExpiryReminders = async (now) => {
+  const properties = await Property.find({
+    isPublished: true,
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + listingExpiry.reminderDays * DAY_MS) },
+    expiryReminderSentAt: { $exists: false }
+  })
+    .select('title expiresAt contactInfo owner')
+    .populate('owner', 'name email');
+
+  let sent = 0;
+  for (const property of properties) {
+    const delivered = await notifyOwner(
+      property,
+      'Your listing is about to expire',
+      `Your listing "${property.title}" expires on ${property.expiresAt.toDateString()}.\n\n` +
+      `If it is still available, log in and renew it to keep it visible to buyers:\n\n ${frontendUrl()}`
+    );
+
+    // Marked even when the owner has no email so the job doesn't retry forever
+    await Property.updateOne({ _id: property._id }, { $set: { expiryReminderSentAt: now } });
+    if (delivered) sent++;
+  }
+  return sent;
+};
+
+// Unpublish listings whose expiry date has passed
+const expireListings = async (now) => {
+  const properties = await Property.find({
+    isPublished: true,
+    expiresAt: { $lte: now }
+  })
+    .select('title price status isPublished contactInfo owner')
+    .populate('owner', 'name email');
+
+  for (const property of properties) {
+    await Property.updateOne(
+      { _id: property._id },
+      { $set: { isPublished: false, expiredAt: now } }
+    );
+
+    // Users who saved the listing are told it is no longer listed
+    const before = snapshotListing(property);
+    await notifyFavoriteWatchers(before, {
+      _id: property._id,
+      title: property.title,
+      price: property.price,
+      status: property.status,
+      isPublished: false,
+      owner: property.owner && property.owner._id
+    }).catch(error => console.error('[ListingExpiry] favorite notifications failed:', error));
+
+    await notifyOwner(
+      property,
+      'Your listing has expired',
+      `Your listing "${property.title}" has expired and is no longer shown to buyers.\n\n` +
+      `You can log in and renew it at any time:\n\n ${frontendUrl()}`
+    );
+  }
+  return properties.length;
+};
+
+const runListingExpiryJob = async () => {
+  const now = new Date();
+  const backfilled = await backfillExpiry();
+  const reminded = await sendExpiryReminders(now);
+  const expired = await expireListings(now);
+
+  console.log(`[ListingExpiry] backfilled: ${backfilled}, reminders sent: ${reminded}, expired: ${expired}`);
+  return { backfilled, reminded, expired };
+};
+
+// Run the job on an interval (LISTING_EXPIRY_JOB_INTERVAL_MINUTES, default 60)
+const scheduleListingExpiryJob = () => {
+  const minutes = parseInt(process.env.LISTING_EXPIRY_JOB_INTERVAL_MINUTES, 10) || 60;
+
+  const run = () => runListingExpiryJob()
+    .catch(error => console.error('[ListingExpiry] job failed:', error));
+
+  run();
+  return setInterval(run, minutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  runListingExpiryJob,
+  scheduleListingExpiryJob
+};
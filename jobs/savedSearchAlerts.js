@@ -0,0 +1,126 @@
+const SavedSearch = require('../models/SavedSearch');
+const Property = require('../models/Property');
+const sendEmail = require('../utils/sendEmail');
+const frontendUrl = require('../utils/frontendUrl');
+const apiUrl = require('../utils/apiUrl');
+const { EARTH_RADIUS_KM } = require('../utils/geo');
+const { buildListingFilter } = require('../utils/propertyFilters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum time between two digests of a search, per frequency
+const DIGEST_INTERVAL_MS = {
+  instant: 0,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+
+// Listings spelled out in one email; the rest are only counted
+const MAX_DIGEST_LISTINGS = 10;
+
+// Listings matching the search that were approved in (since, until]
+const digestFilter = (search, since, until) => {
+  const { filter, near, radiusKm, error } = buildListingFilter(Object.fromEntries(search.filters));
+  if (error) return null;
+
+  const conditions = [filter, { approvalStatus: 'approved', approvedAt: { $gt: since, $lte: until } }];
+  if (near) {
+    conditions.push({ 'location.geo': { $geoWithin: { $centerSphere: [near, radiusKm / EARTH_RADIUS_KM] } } });
+  }
+  return { $and: conditions };
+};
+
+const describeListing = (property, index) => {
+  const location = property.location || {};
+  const place = [location.village, location.taluka, location.district].filter(Boolean).join(', ');
+
+  return `${index + 1}. ${property.title} - Rs. ${property.price.toLocaleString('en-IN')}\n` +
+    (place ? `   ${place}\n` : '') +
+    `   ${frontendUrl.propertyUrl(property._id)}`;
+};
+
+// Email the listings approved since the last digest. Returns true when an
+// email went out, false when there was nothing to send and null when sending
+// failed and should be retried on the next run.
+const sendDigest = async (search, now) => {
+  const user = search.user;
+  if (!user || !user.isActive || !user.email) return false;
+
+  const filter = digestFilter(search, search.lastNotifiedAt, now);
+  if (!filter) {
+    console.error(`[SavedSearchAlerts] search ${search._id} has invalid filters`);
+    return false;
+  }
+
+  const total = await Property.countDocuments(filter);
+  if (total === 0) return false;
+
+  const properties = await Property.find(filter)
+    .sort({ approvedAt: -1 })
+    .limit(MAX_DIGEST_LISTINGS)
+    .select('title price location');
+
+  const more = total - properties.length;
+  const message =
+    `Hello ${user.name},\n\n` +
+    `${total} new listing${total > 1 ? 's' : ''} matching your saved search "${search.name}":\n\n` +
+    properties.map(describeListing).join('\n\n') +
+    (more > 0 ? `\n\n...and ${more} more on ${frontendUrl()}` : '') +
+    `\n\nTo stop these emails, open:\n${apiUrl(`/api/saved-searches/unsubscribe/${search.unsubscribeToken}`)}`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: `${total} new listing${total > 1 ? 's' : ''} for "${search.name}"`,
+      message
+    });
+    return true;
+  } catch (error) {
+    console.error(`Saved search digest to ${user.email} failed:`, error.message);
+    return null;
+  }
+};
+
+const runSavedSearchAlertsJob = async () => {
+  const now = new Date();
+  const due = Object.entries(DIGEST_INTERVAL_MS).map(([frequency, interval]) => ({
+    frequency,
+    lastNotifiedAt: { $lte: new Date(now.getTime() - interval) }
+  }));
+
+  const cursor = SavedSearch.find({ emailAlerts: true, $or: due })
+    .select('+unsubscribeToken')
+    .populate('user', 'name email isActive')
+    .cursor();
+
+  let checked = 0;
+  let sent = 0;
+  for await (const search of cursor) {
+    checked++;
+    const delivered = await sendDigest(search, now);
+    if (delivered === null) continue;
+
+    await SavedSearch.updateOne({ _id: search._id }, { $set: { lastNotifiedAt: now } });
+    if (delivered) sent++;
+  }
+
+  console.log(`[SavedSearchAlerts] searches checked: ${checked}, digests sent: ${sent}`);
+  return { checked, sent };
+};
+
+// Run the job on an interval (SAVED_SEARCH_JOB_INTERVAL_MINUTES, default 15);
+// instant searches are emailed on every run, daily and weekly ones when due
+const scheduleSavedSearchAlertsJob = () => {
+  const minutes = parseInt(process.env.SAVED_SEARCH_JOB_INTERVAL_MINUTES, 10) || 15;
+
+  const run = () => runSavedSearchAlertsJob()
+    .catch(error => console.error('[SavedSearchAlerts] job failed:', error));
+
+  run();
+  return setInterval(run, minutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  runSavedSearchAlertsJob,
+  scheduleSavedSearchAlertsJob
+};
@@ -1,43 +1,46 @@
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const { createStorageEngine } = require('../utils/storage');
+const { spreadsheetFormat } = require('../utils/spreadsheet');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+const imageParams = {
+  folder: 'real-estate/images',
+  allowedFormats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+  maxDimension: 1000
+};
+
+// Listing gallery images are re-encoded locally into watermarked renditions
+// without EXIF metadata (see utils/imageProcessing.js)
+const listingImageParams = { ...imageParams, process: true };
 
 // Configure storage for images
-const imageStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'real-estate/images',
-    allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-    transformation: [{ width: 1000, height: 1000, crop: 'limit' }]
-  },
-});
+const imageStorage = createStorageEngine(listingImageParams);
+
+// Land record uploads of the property form; kept private and handed out
+// through signed links only
+const PRIVATE_DOCUMENT_FIELDS = ['document712', 'document8A', 'documentUtarotar', 'otherDocuments'];
 
 // Configure storage for documents (handles both images and documents)
-const documentStorage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: (req, file) => {
-    // Determine folder and resource type based on file type
-    if (file.mimetype.startsWith('image/')) {
-      return {
-        folder: 'real-estate/images',
-        allowed_formats: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-        transformation: [{ width: 1000, height: 1000, crop: 'limit' }]
-      };
-    } else {
-      return {
-        folder: 'real-estate/documents',
-        allowed_formats: ['pdf', 'doc', 'docx', 'jpg', 'jpeg', 'png'],
-        resource_type: 'raw'
-      };
-    }
-  },
+const documentStorage = createStorageEngine((req, file) => {
+  if (PRIVATE_DOCUMENT_FIELDS.includes(file.fieldname)) {
+    return {
+      folder: 'real-estate/documents',
+      allowedFormats: ['pdf', 'doc', 'docx', 'jpg', 'jpeg', 'png'],
+      visibility: 'private'
+    };
+  }
+
+  if (file.fieldname === 'images') {
+    return listingImageParams;
+  }
+
+  // Determine folder based on file type
+  if (file.mimetype.startsWith('image/')) {
+    return imageParams;
+  }
+  return {
+    folder: 'real-estate/documents',
+    allowedFormats: ['pdf', 'doc', 'docx', 'jpg', 'jpeg', 'png']
+  };
 });
 
 // Configure multer for images
@@ -91,6 +94,21 @@ const upload = multer({
   },
 });
 
+// Property import sheets are parsed in memory and never stored
+const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (spreadsheetFormat(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and XLSX files are allowed!'), false);
+    }
+  },
+});
+
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -116,5 +134,6 @@ module.exports = {
   upload, 
   uploadImages, 
   uploadDocuments, 
+  uploadSpreadsheet,
   handleUploadError 
 };
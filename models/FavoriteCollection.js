@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Name of the collection properties are saved to when none is chosen
+const DEFAULT_COLLECTION_NAME = 'Favorites';
+
+const favoriteItemSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  // Only ever shown to the collection's owner, never on shared links
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot be more than 1000 characters']
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A named group of saved properties ("Near Anand", "Shortlist"). Every user
+// has one default collection, which is what the favorite buttons use.
+const favoriteCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Collection must belong to a user']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a collection name'],
+    trim: true,
+    maxlength: [60, 'Collection name cannot be more than 60 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  items: [favoriteItemSchema],
+  // Secret of the read-only share link; absent while the collection is private
+  shareToken: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+favoriteCollectionSchema.index({ user: 1, createdAt: 1 });
+favoriteCollectionSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+favoriteCollectionSchema.index({ 'items.property': 1 });
+favoriteCollectionSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+// The user's default collection, created on first use. Creating it brings over
+// the flat User.favorites array that collections replaced.
+favoriteCollectionSchema.statics.getDefault = async function (userId) {
+  const existing = await this.findOne({ user: userId, isDefault: true });
+  if (existing) return existing;
+
+  const users = mongoose.model('User').collection;
+  const _id = new mongoose.Types.ObjectId(String(userId));
+  const legacy = await users.findOne({ _id }, { projection: { favorites: 1 } });
+  const favorites = (legacy && Array.isArray(legacy.favorites)) ? legacy.favorites : [];
+
+  let collection;
+  try {
+    collection = await this.create({
+      user: userId,
+      name: DEFAULT_COLLECTION_NAME,
+      isDefault: true,
+      items: favorites.map(property => ({ property }))
+    });
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) return this.findOne({ user: userId, isDefault: true });
+    throw error;
+  }
+
+  if (legacy && legacy.favorites) {
+    await users.updateOne({ _id }, { $unset: { favorites: '' } });
+  }
+  return collection;
+};
+
+// Ids of every property the user saved in any collection, most recently saved first
+favoriteCollectionSchema.statics.propertyIdsOf = async function (userId) {
+  const collections = await this.find({ user: userId }).select('items').lean();
+
+  const items = collections
+    .flatMap(collection => collection.items)
+    .sort((a, b) => b.savedAt - a.savedAt);
+
+  const seen = new Set();
+  return items
+    .map(item => item.property)
+    .filter(id => !seen.has(String(id)) && seen.add(String(id)));
+};
+
+module.exports = mongoose.model('FavoriteCollection', favoriteCollectionSchema);
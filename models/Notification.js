@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown in the user's notification list. Created when a
+// property the user saved changes (see utils/favoriteNotifications.js).
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification must belong to a user']
+  },
+  type: {
+    type: String,
+    enum: ['price-drop', 'closed', 'unpublished'],
+    required: true
+  },
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Price before and after a price drop
+  oldPrice: Number,
+  newPrice: Number,
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
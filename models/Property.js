@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geo');
+const { AREA_UNITS, toSquareMetres, parseGovArea, deriveAreaFields } = require('../utils/area');
+const { hashBands } = require('../utils/imageProcessing');
+const { recordKeys } = require('../utils/landRecords');
 
 const propertySchema = new mongoose.Schema({
   // Basic Information
@@ -22,6 +26,31 @@ const propertySchema = new mongoose.Schema({
     required: [true, 'Please add a price'],
     min: [0, 'Price cannot be negative']
   },
+  // Every change of price, oldest first (appended on save)
+  priceHistory: [{
+    oldPrice: {
+      type: Number,
+      required: true
+    },
+    newPrice: {
+      type: Number,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Reduction from the highest asking price, present only while reduced
+  priceReduction: {
+    amount: Number,
+    percent: Number,
+    changedAt: Date
+  },
   status: {
     type: String,
     enum: ['for-sale', 'for-rent', 'sold', 'rented'],
@@ -48,6 +77,11 @@ const propertySchema = new mongoose.Schema({
       trim: true
     }
   },
+  // Normalised survey and khaata numbers with their village, kept in sync on
+  // save and used to find other listings of the same plot
+  recordKeys: [{
+    type: String
+  }],
 
   // Disadvantages
   disadvantages: [{
@@ -56,11 +90,22 @@ const propertySchema = new mongoose.Schema({
   }],
 
   // Area Information
+  // totalArea is expressed in areaUnit; the other area fields are derived from
+  // areaSqm on save (see pre-save hook below)
   totalArea: {
     type: Number,
     required: [true, 'Total area is required'],
     min: [0, 'Total area cannot be negative']
   },
+  areaUnit: {
+    type: String,
+    enum: AREA_UNITS,
+    default: 'sqft'
+  },
+  areaSqm: {
+    type: Number,
+    min: [0, 'Area cannot be negative']
+  },
   areaVigha: {
     type: Number,
     min: [0, 'Area in Vigha cannot be negative']
@@ -69,6 +114,14 @@ const propertySchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Area in Acre cannot be negative']
   },
+  areaHectare: {
+    type: Number,
+    min: [0, 'Area in Hectare cannot be negative']
+  },
+  areaGuntha: {
+    type: Number,
+    min: [0, 'Area in Guntha cannot be negative']
+  },
 
   // Location
   location: {
@@ -112,6 +165,17 @@ const propertySchema = new mongoose.Schema({
         required: true,
         default: 0
       }
+    },
+    // GeoJSON mirror of coordinates used for map queries, kept in sync on save
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
 
@@ -133,6 +197,116 @@ const propertySchema = new mongoose.Schema({
     isPrimary: {
       type: Boolean,
       default: false
+    },
+    // Watermarked sizes generated on upload; `url` is the large one
+    renditions: {
+      thumbnail: String,
+      medium: String,
+      large: String
+    },
+    // Perceptual hash of the photo and its lookup bands
+    hash: {
+      type: String
+    },
+    hashBands: [{
+      type: String
+    }],
+    // Files the upload pipeline wrote for this photo; deleting the image
+    // removes these and nothing else
+    storedFiles: [{
+      type: String
+    }]
+  }],
+
+  // Land Details (only meaningful for type 'land')
+  landInfo: {
+    fencing: {
+      type: Boolean
+    },
+    borewell: {
+      type: Boolean
+    },
+    houseOnLand: {
+      type: Boolean
+    },
+    electricity: {
+      type: String,
+      enum: {
+        values: ['none', 'available', 'single-phase', '3-phase'],
+        message: 'Electricity must be none, available, single-phase or 3-phase'
+      }
+    },
+    expectedPricePerUnit: {
+      type: Number,
+      min: [0, 'Expected price per unit cannot be negative']
+    },
+    paymentTerms: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Payment terms cannot be more than 500 characters']
+    },
+    legacyLand: {
+      type: Boolean
+    }
+  },
+
+  // Land Record Documents (7/12, 8A, Utara and others)
+  documents: [{
+    type: {
+      type: String,
+      enum: ['7-12', '8A', 'utara', 'other'],
+      required: [true, 'Document type is required']
+    },
+    // Public URL of documents uploaded before they were stored privately
+    url: {
+      type: String,
+      required: [function () { return !this.key; }, 'Document file is required']
+    },
+    // Storage key of the privately stored file
+    key: {
+      type: String
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'verified', 'rejected'],
+      default: 'pending'
+    },
+    verifiedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    verifiedAt: {
+      type: Date
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Document notes cannot be more than 500 characters']
+    }
+  }],
+
+  // Buyers the owner allowed to download the documents
+  documentAccess: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    grantedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
     }
   }],
 
@@ -176,10 +350,143 @@ const propertySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Sale / rental closing details recorded when the listing is closed
+  closing: {
+    outcome: {
+      type: String,
+      enum: ['sold', 'rented']
+    },
+    price: {
+      type: Number,
+      min: [0, 'Closing price cannot be negative']
+    },
+    closedAt: {
+      type: Date
+    },
+    buyerAgent: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Agent'
+    },
+    closedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    // Agent whose propertiesSold/totalSales the sale was added to, so a
+    // reopen takes it off the same agent
+    creditedAgent: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Agent'
+    },
+    // Keep the listing visible with a sold/rented badge instead of unpublishing it
+    keepListed: {
+      type: Boolean
+    },
+    notes: {
+      type: String,
+      maxlength: [500, 'Closing notes cannot be more than 500 characters']
+    }
+  },
+
+  // Photos that also appear on listings of other owners
+  imageConflicts: [{
+    _id: false,
+    image: {
+      type: mongoose.Schema.ObjectId
+    },
+    property: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Property'
+    },
+    // The photo on the other listing
+    matchedImage: {
+      type: mongoose.Schema.ObjectId
+    },
+    owner: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    distance: {
+      type: Number
+    },
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Listing lifecycle: set on approval, extended on renewal
+  expiresAt: {
+    type: Date
+  },
+  expiryReminderSentAt: {
+    type: Date
+  },
+  expiredAt: {
+    type: Date
+  },
   approvalStatus: {
     type: String,
     enum: ['pending', 'approved', 'rejected'],
     default: 'pending'
+  },
+  approvedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: [500, 'Rejection reason cannot be more than 500 characters']
+  },
+  // Other listings that look like the same plot, found when this one or the
+  // other listing was submitted
+  possibleDuplicates: [{
+    _id: false,
+    property: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Property'
+    },
+    score: {
+      type: Number
+    },
+    reasons: [{
+      type: String
+    }],
+    detectedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Material edits to an approved listing waiting for moderation
+  pendingChanges: {
+    fields: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    requestedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: [500, 'Rejection reason cannot be more than 500 characters']
+    }
   }
 }, {
   timestamps: true
@@ -198,13 +505,135 @@ propertySchema.index({
 
 // Index for filtering
 propertySchema.index({ price: 1 });
+propertySchema.index({ 'priceReduction.percent': -1 });
+propertySchema.index({ areaSqm: 1 });
 propertySchema.index({ type: 1 });
 propertySchema.index({ status: 1 });
 propertySchema.index({ 'location.city': 1 });
 propertySchema.index({ 'location.district': 1 });
 propertySchema.index({ isFeatured: 1 });
 propertySchema.index({ approvalStatus: 1 });
+propertySchema.index({ isPublished: 1, expiresAt: 1 });
+propertySchema.index({ 'pendingChanges.status': 1 });
 propertySchema.index({ owner: 1 });
+propertySchema.index({ 'landInfo.borewell': 1, 'landInfo.electricity': 1 });
+propertySchema.index({ 'images.hashBands': 1 });
+propertySchema.index({ 'images.storedFiles': 1 });
+propertySchema.index({ recordKeys: 1 });
+
+// Index for geospatial search
+propertySchema.index({ 'location.geo': '2dsphere' });
+
+// Keep the GeoJSON point in sync with latitude/longitude
+propertySchema.pre('save', function (next) {
+  if (this.isModified('location')) {
+    const coordinates = this.location && this.location.coordinates;
+    const point = coordinates ? toGeoPoint(coordinates.latitude, coordinates.longitude) : null;
+    this.set('location.geo', point || undefined);
+  }
+  next();
+});
+
+// Keep the image hash lookup bands in sync with the hashes
+propertySchema.pre('save', function (next) {
+  if (this.isModified('images')) {
+    this.images.forEach(image => {
+      image.hashBands = hashBands(image.hash);
+    });
+  }
+  next();
+});
+
+// Keep the land record lookup keys in sync with the village and record numbers
+propertySchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('govDetails') || this.isModified('location')) {
+    this.recordKeys = recordKeys(this);
+  }
+  next();
+});
+
+// Normalise area to square metres and derive every other unit from it.
+// The 7/12 record area wins over hand-entered values when it can be parsed.
+propertySchema.pre('save', function (next) {
+  let sqm = null;
+
+  if (this.isModified('govDetails.area') && this.govDetails && this.govDetails.area) {
+    sqm = parseGovArea(this.govDetails.area);
+  }
+  if (sqm === null && (this.isModified('totalArea') || this.isModified('areaUnit'))) {
+    sqm = toSquareMetres(this.totalArea, this.areaUnit);
+  }
+  if (sqm === null && this.isModified('areaVigha') && this.areaVigha != null) {
+    sqm = toSquareMetres(this.areaVigha, 'vigha');
+  }
+  if (sqm === null && this.isModified('areaAcre') && this.areaAcre != null) {
+    sqm = toSquareMetres(this.areaAcre, 'acre');
+  }
+  if (sqm === null && this.areaSqm == null) {
+    sqm = toSquareMetres(this.totalArea, this.areaUnit);
+  }
+
+  if (sqm !== null) {
+    this.set(deriveAreaFields(sqm, this.areaUnit));
+  }
+  next();
+});
+
+// Remember the stored price so a change can be recorded on save
+propertySchema.post('init', function () {
+  this.$locals.originalPrice = this.price;
+});
+
+// Record price changes and keep the reduction from the peak price up to date.
+// Controllers pass the acting user through doc.$locals.changedBy.
+propertySchema.pre('save', function (next) {
+  const oldPrice = this.$locals.originalPrice;
+
+  if (this.isNew || !this.isModified('price') || oldPrice === undefined || oldPrice === this.price) {
+    return next();
+  }
+
+  const changedAt = new Date();
+  this.priceHistory.push({
+    oldPrice,
+    newPrice: this.price,
+    changedBy: this.$locals.changedBy,
+    changedAt
+  });
+
+  const peak = Math.max(this.price, ...this.priceHistory.map(change => change.oldPrice));
+  if (this.price < peak) {
+    this.priceReduction = {
+      amount: peak - this.price,
+      percent: Math.round(((peak - this.price) / peak) * 10000) / 100,
+      changedAt
+    };
+  } else {
+    this.priceReduction = undefined;
+  }
+
+  next();
+});
+
+propertySchema.post('save', function () {
+  this.$locals.originalPrice = this.price;
+});
+
+propertySchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate() || {};
+  const target = update.$set || update;
+  const location = target.location;
+
+  if (location && location.coordinates) {
+    const point = toGeoPoint(location.coordinates.latitude, location.coordinates.longitude);
+    if (point) {
+      location.geo = point;
+    } else {
+      delete location.geo;
+    }
+  }
+  next();
+});
 
 // Virtual for primary image
 propertySchema.virtual('primaryImage').get(function () {
@@ -212,8 +641,44 @@ propertySchema.virtual('primaryImage').get(function () {
   return primaryImg ? primaryImg.url : (this.images.length > 0 ? this.images[0].url : '');
 });
 
+// Document files and the access list are only handed out through
+// GET /api/properties/:id/documents/:docId
+const hideDocumentFiles = (documents) => (Array.isArray(documents)
+  ? documents.map(({ url, key, ...document }) => document)
+  : documents);
+
+// Edits waiting for moderation (or last rejected), or null. Only the owner
+// and admin responses include these; the serialized listing never does.
+propertySchema.methods.pendingChangesJSON = function () {
+  const pending = this.toObject({ virtuals: false }).pendingChanges;
+  if (!pending || !pending.status) return null;
+
+  const fields = pending.fields || {};
+  return {
+    ...pending,
+    fields: fields.documents ? { ...fields, documents: hideDocumentFiles(fields.documents) } : fields
+  };
+};
+
 // Ensure virtual fields are serialized
-propertySchema.set('toJSON', { virtuals: true });
+propertySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    ret.documents = hideDocumentFiles(ret.documents);
+    delete ret.pendingChanges;
+    // Suspected copies and reused photos are for moderators; the admin queue
+    // reads them from the document
+    delete ret.possibleDuplicates;
+    delete ret.imageConflicts;
+    delete ret.documentAccess;
+    delete ret.recordKeys;
+    // Price changes are public; who made them is not
+    if (ret.priceHistory) {
+      ret.priceHistory = ret.priceHistory.map(({ changedBy, ...change }) => change);
+    }
+    return ret;
+  }
+});
 propertySchema.set('toObject', { virtuals: true });
 
 module.exports = mongoose.model('Property', propertySchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Left behind when a duplicate listing is merged away so old links keep working
+const propertyRedirectSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.ObjectId,
+    required: [true, 'Redirect must have a source property'],
+    unique: true
+  },
+  to: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property',
+    required: [true, 'Redirect must have a target property']
+  },
+  title: {
+    type: String
+  },
+  mergedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+propertyRedirectSchema.index({ to: 1 });
+
+module.exports = mongoose.model('PropertyRedirect', propertyRedirectSchema);
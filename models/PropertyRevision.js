@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { normalize, diffObjects } = require('../utils/diff');
+
+// Fields left out of revision snapshots: identifiers, bookkeeping, counters
+// that change without an edit, edits still waiting for moderation and
+// document access grants
+const SNAPSHOT_EXCLUDED_FIELDS = [
+  '_id',
+  '__v',
+  'id',
+  'createdAt',
+  'updatedAt',
+  'views',
+  'priceHistory',
+  'primaryImage',
+  'pendingChanges',
+  'possibleDuplicates',
+  'imageConflicts',
+  'recordKeys',
+  'documentAccess'
+];
+
+const propertyRevisionSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property',
+    required: [true, 'Revision must belong to a property']
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'approve', 'reject', 'restore', 'close', 'reopen', 'merge'],
+    required: [true, 'Revision action is required']
+  },
+  changes: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // State of the listing after this revision, used for restores
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  restoredFrom: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'PropertyRevision'
+  },
+  // Duplicate listing folded into this one by a merge
+  mergedFrom: {
+    type: mongoose.Schema.ObjectId
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+propertyRevisionSchema.index({ property: 1, version: -1 }, { unique: true });
+
+// Plain snapshot of a property document for storing in a revision
+propertyRevisionSchema.statics.snapshotOf = function (property) {
+  const snapshot = normalize(property.toObject({ depopulate: true, virtuals: false }));
+  SNAPSHOT_EXCLUDED_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+};
+
+// Store a new revision for a property with the diff against the previous one
+propertyRevisionSchema.statics.record = async function (property, action, userId, extra = {}) {
+  const previous = await this.findOne({ property: property._id })
+    .sort({ version: -1 })
+    .select('version snapshot');
+
+  const snapshot = this.snapshotOf(property);
+
+  return this.create({
+    property: property._id,
+    version: previous ? previous.version + 1 : 1,
+    action,
+    changes: diffObjects(previous ? previous.snapshot : {}, snapshot),
+    snapshot,
+    user: userId,
+    ...extra
+  });
+};
+
+module.exports = mongoose.model('PropertyRevision', propertyRevisionSchema);
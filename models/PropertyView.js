@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { propertyViews } = require('../config/propertyViews');
+
+// A view of a listing (see utils/propertyViews.js). Views marked `counted`
+// add to Property.views; there is one per viewer and dedup window, unique on
+// `dedupKey`. Repeat views within the window, and views by the owner, the
+// assigned agent or an admin, don't get an event of their own: the viewer's
+// event in the window has its `lastViewedAt` moved instead, which keeps the
+// recently viewed list current.
+const propertyViewSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Property',
+    required: [true, 'View must belong to a property']
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Hash of the IP address and user agent of an anonymous viewer
+  fingerprint: {
+    type: String
+  },
+  viewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  counted: {
+    type: Boolean,
+    default: false
+  },
+  // "<property>:<user or fingerprint>:<window number>" of counted views
+  dedupKey: {
+    type: String
+  }
+});
+
+propertyViewSchema.index({ property: 1, user: 1, viewedAt: -1 });
+propertyViewSchema.index({ property: 1, fingerprint: 1, viewedAt: -1 });
+propertyViewSchema.index({ user: 1, viewedAt: -1 });
+propertyViewSchema.index({ dedupKey: 1 }, { unique: true, sparse: true });
+propertyViewSchema.index({ viewedAt: 1 }, { expireAfterSeconds: propertyViews.retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PropertyView', propertyViewSchema);
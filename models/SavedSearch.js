@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A stored set of GET /api/properties filters; new approved listings that
+// match are emailed to the user as a digest (see jobs/savedSearchAlerts.js)
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Saved search must belong to a user']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a name for the search'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Query parameters as they would be sent to GET /api/properties
+  filters: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  frequency: {
+    type: String,
+    enum: {
+      values: ['instant', 'daily', 'weekly'],
+      message: 'Frequency must be instant, daily or weekly'
+    },
+    default: 'daily'
+  },
+  emailAlerts: {
+    type: Boolean,
+    default: true
+  },
+  // Listings approved after this are included in the next digest
+  lastNotifiedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Secret of the unsubscribe link in every digest
+  unsubscribeToken: {
+    type: String,
+    default: () => crypto.randomBytes(24).toString('hex'),
+    select: false
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.unsubscribeToken;
+      return ret;
+    }
+  }
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ unsubscribeToken: 1 }, { unique: true });
+savedSearchSchema.index({ emailAlerts: 1, frequency: 1, lastNotifiedAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
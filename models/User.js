@@ -46,16 +46,35 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  favorites: [{
-    type: mongoose.Schema.ObjectId,
-    ref: 'Property'
-  }],
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   emailVerificationToken: String,
   emailVerified: {
     type: Boolean,
     default: false
+  },
+  // How and about what the user is told when a property they saved changes
+  notificationPreferences: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    priceDrop: {
+      type: Boolean,
+      default: true
+    },
+    closed: {
+      type: Boolean,
+      default: true
+    },
+    unpublished: {
+      type: Boolean,
+      default: true
+    }
   }
 }, {
   timestamps: true
@@ -5,8 +5,17 @@ const {
   getPendingProperties,
   approveProperty,
   rejectProperty,
+  approvePropertyChanges,
+  rejectPropertyChanges,
   getAllProperties,
+  exportProperties,
   getPropertyStats,
+  getPropertyDocuments,
+  verifyPropertyDocument,
+  rejectPropertyDocument,
+  restorePropertyRevision,
+  reopenProperty,
+  mergeProperty,
   getUsers,
   updateUserStatus,
   deleteUser
@@ -19,9 +28,26 @@ router.use(authorize('admin'));
 // Property management routes
 router.get('/properties/pending', getPendingProperties);
 router.get('/properties', getAllProperties);
+router.get('/properties/export', exportProperties);
 router.get('/properties/stats', getPropertyStats);
 router.put('/properties/:id/approve', approveProperty);
 router.put('/properties/:id/reject', rejectProperty);
+router.put('/properties/:id/changes/approve', approvePropertyChanges);
+router.put('/properties/:id/changes/reject', rejectPropertyChanges);
+
+// Land record document verification routes
+router.get('/properties/:id/documents', getPropertyDocuments);
+router.put('/properties/:id/documents/:docId/verify', verifyPropertyDocument);
+router.put('/properties/:id/documents/:docId/reject', rejectPropertyDocument);
+
+// Revision history routes
+router.post('/properties/:id/revisions/:revisionId/restore', restorePropertyRevision);
+
+// Reopen a sold or rented listing
+router.put('/properties/:id/reopen', reopenProperty);
+
+// Duplicate listing merge
+router.post('/properties/:id/merge', mergeProperty);
 
 // User management routes
 router.get('/users', getUsers);
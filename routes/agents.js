@@ -8,6 +8,7 @@ const {
   deleteAgent,
   getTopAgents,
   getAgentProperties,
+  exportAgentProperties,
   addAgentReview,
   updateAgentReview,
   deleteAgentReview,
@@ -51,6 +52,13 @@ router.get('/:id', getAgent);
 // @access  Public
 router.get('/:id/properties', getAgentProperties);
 
+// @desc    Export agent's properties as CSV, XLSX or NDJSON
+// @route   GET /api/agents/:id/properties/export
+// @access  Private (Agent owner/Admin)
+router.get('/:id/properties/export', protect, [
+  query('format').optional().isIn(['csv', 'xlsx', 'ndjson'])
+], exportAgentProperties);
+
 // @desc    Get agent reviews
 // @route   GET /api/agents/:id/reviews
 // @access  Public
@@ -0,0 +1,84 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionItem,
+  updateCollectionItem,
+  removeCollectionItem,
+  shareCollection,
+  unshareCollection,
+  getSharedCollection
+} = require('../controllers/favorites');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    View a shared collection (read-only, without notes)
+// @route   GET /api/favorites/shared/:token
+// @access  Public
+router.get('/shared/:token', getSharedCollection);
+
+// @desc    Get collections of the logged-in user
+// @route   GET /api/favorites/collections
+// @access  Private
+router.get('/collections', protect, getCollections);
+
+// @desc    Create a collection
+// @route   POST /api/favorites/collections
+// @access  Private
+router.post('/collections', protect, [
+  body('name').trim().isLength({ min: 1, max: 60 }).withMessage('Name must be between 1 and 60 characters')
+], createCollection);
+
+// @desc    Get a collection with its saved properties and notes
+// @route   GET /api/favorites/collections/:id
+// @access  Private
+router.get('/collections/:id', protect, getCollection);
+
+// @desc    Rename a collection
+// @route   PUT /api/favorites/collections/:id
+// @access  Private
+router.put('/collections/:id', protect, [
+  body('name').trim().isLength({ min: 1, max: 60 }).withMessage('Name must be between 1 and 60 characters')
+], updateCollection);
+
+// @desc    Delete a collection and the properties saved in it
+// @route   DELETE /api/favorites/collections/:id
+// @access  Private
+router.delete('/collections/:id', protect, deleteCollection);
+
+// @desc    Save a property to a collection with an optional note
+// @route   POST /api/favorites/collections/:id/items
+// @access  Private
+router.post('/collections/:id/items', protect, [
+  body('propertyId').isMongoId().withMessage('Invalid property id'),
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot be more than 1000 characters')
+], addCollectionItem);
+
+// @desc    Edit the private note of a saved property
+// @route   PUT /api/favorites/collections/:id/items/:propertyId
+// @access  Private
+router.put('/collections/:id/items/:propertyId', protect, [
+  body('note').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot be more than 1000 characters')
+], updateCollectionItem);
+
+// @desc    Remove a property from a collection
+// @route   DELETE /api/favorites/collections/:id/items/:propertyId
+// @access  Private
+router.delete('/collections/:id/items/:propertyId', protect, removeCollectionItem);
+
+// @desc    Create (or return) the read-only share link of a collection
+// @route   POST /api/favorites/collections/:id/share
+// @access  Private
+router.post('/collections/:id/share', protect, shareCollection);
+
+// @desc    Turn off the share link of a collection
+// @route   DELETE /api/favorites/collections/:id/share
+// @access  Private
+router.delete('/collections/:id/share', protect, unshareCollection);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getMarketStats } = require('../controllers/market');
+
+const router = express.Router();
+
+// @desc    Get listing counts, median prices and monthly trends by region
+// @route   GET /api/market/stats
+// @access  Public
+router.get('/stats', [
+  query('level').optional().isIn(['state', 'district', 'taluka', 'village']).withMessage('Invalid region level'),
+  query('type').optional().isIn(['apartment', 'house', 'commercial', 'industrial', 'land']),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  query('state').optional().trim(),
+  query('district').optional().trim(),
+  query('taluka').optional().trim(),
+  query('village').optional().trim()
+], getMarketStats);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../controllers/notifications');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    Get notifications of the logged-in user, newest first
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', protect, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('unread').optional().isBoolean().withMessage('unread must be a boolean')
+], getNotifications);
+
+// @desc    Get notification preferences of the logged-in user
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', protect, getNotificationPreferences);
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', protect, [
+  body(['email', 'inApp', 'priceDrop', 'closed', 'unpublished']).optional().isBoolean()
+], updateNotificationPreferences);
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', protect, markAllNotificationsRead);
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', protect, markNotificationRead);
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+router.delete('/:id', protect, deleteNotification);
+
+module.exports = router;
@@ -4,23 +4,41 @@ const {
   getProperties,
   getProperty,
   createProperty,
+  importProperties,
+  getImportTemplate,
   updateProperty,
   deleteProperty,
   getMyProperties,
+  exportMyProperties,
   getFeaturedProperties,
+  getComparables,
+  closeProperty,
+  renewProperty,
+  reorderPropertyImages,
+  setPrimaryPropertyImage,
+  updatePropertyImage,
+  deletePropertyImage,
+  getPropertyDocument,
+  getDocumentAccess,
+  grantDocumentAccess,
+  revokeDocumentAccess,
+  getPriceHistory,
+  getPropertyRevisions,
+  getPendingChanges,
   getPropertiesByAgent,
   getPropertiesByType,
   searchProperties,
   addToFavorites,
   removeFromFavorites,
   getFavoriteProperties,
-  incrementViews,
+  recordView,
+  getPropertyViews,
   uploadImages,
   getCategoryCounts,
   getUniqueLocations
 } = require('../controllers/properties');
-const { protect, authorize } = require('../middleware/auth');
-const { upload, handleUploadError } = require('../middleware/upload');
+const { protect, optionalAuth, authorize } = require('../middleware/auth');
+const { upload, uploadSpreadsheet, handleUploadError } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -32,13 +50,28 @@ router.get('/', [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be a positive number'),
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be a positive number'),
+  query('type').optional().isIn(['apartment', 'house', 'commercial', 'industrial', 'land']),
   query('propertyType').optional().isIn(['apartment', 'house', 'villa', 'condo', 'commercial', 'land', 'garage']),
   query('status').optional().isIn(['available', 'sold', 'rented', 'pending']),
   query('city').optional().trim(),
   query('bedrooms').optional().isInt({ min: 0 }),
   query('bathrooms').optional().isInt({ min: 0 }),
   query('minArea').optional().isFloat({ min: 0 }),
-  query('maxArea').optional().isFloat({ min: 0 })
+  query('maxArea').optional().isFloat({ min: 0 }),
+  query('areaUnit').optional().trim(),
+  query('near').optional().matches(/^-?\d+(\.\d+)?,\s*-?\d+(\.\d+)?$/).withMessage('near must be latitude,longitude'),
+  query('radiusKm').optional().isFloat({ min: 0 }).withMessage('radiusKm must be a positive number'),
+  query('bbox').optional().trim(),
+  query('polygon').optional().trim(),
+  query('hasBorewell').optional().isBoolean(),
+  query('hasFencing').optional().isBoolean(),
+  query('hasHouse').optional().isBoolean(),
+  query('hasElectricity').optional().isBoolean(),
+  query('legacyLand').optional().isBoolean(),
+  query('electricity').optional().trim(),
+  query('priceDropped').optional().isBoolean(),
+  query('minPricePerUnit').optional().isFloat({ min: 0 }),
+  query('maxPricePerUnit').optional().isFloat({ min: 0 })
 ], getProperties);
 
 // @desc    Get featured properties
@@ -51,6 +84,25 @@ router.get('/featured', getFeaturedProperties);
 // @access  Private
 router.get('/my', protect, getMyProperties);
 
+// @desc    Export properties of current user as CSV, XLSX or NDJSON
+// @route   GET /api/properties/my/export
+// @access  Private
+router.get('/my/export', protect, [
+  query('format').optional().isIn(['csv', 'xlsx', 'ndjson'])
+], exportMyProperties);
+
+// @desc    Download the column template for property imports
+// @route   GET /api/properties/import/template
+// @access  Private (Agent/Admin)
+router.get('/import/template', protect, authorize('agent', 'admin'), getImportTemplate);
+
+// @desc    Create pending listings from a CSV or XLSX file
+// @route   POST /api/properties/import
+// @access  Private (Agent/Admin)
+router.post('/import', protect, authorize('agent', 'admin'), uploadSpreadsheet.single('file'), [
+  query('dryRun').optional().isBoolean()
+], handleUploadError, importProperties);
+
 // @desc    Search properties
 // @route   GET /api/properties/search
 // @access  Public
@@ -73,7 +125,40 @@ router.get('/agent/:agentId', getPropertiesByAgent);
 // @desc    Get single property
 // @route   GET /api/properties/:id
 // @access  Public
-router.get('/:id', incrementViews, getProperty);
+router.get('/:id', optionalAuth, recordView, getProperty);
+
+// @desc    Get price per unit comparables for a property
+// @route   GET /api/properties/:id/comparables
+// @access  Public
+router.get('/:id/comparables', [
+  query('radiusKm').optional().isFloat({ min: 0 }),
+  query('scope').optional().isIn(['radius', 'taluka', 'district'])
+], getComparables);
+
+// @desc    Get price history of a property
+// @route   GET /api/properties/:id/price-history
+// @access  Public
+router.get('/:id/price-history', getPriceHistory);
+
+// @desc    Get daily unique views of a property
+// @route   GET /api/properties/:id/views
+// @access  Private (Owner/Assigned agent/Admin)
+router.get('/:id/views', protect, [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], getPropertyViews);
+
+// @desc    Get revision history of a property
+// @route   GET /api/properties/:id/revisions
+// @access  Private (Owner/Admin)
+router.get('/:id/revisions', protect, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], getPropertyRevisions);
+
+// @desc    Get the edits of a property waiting for moderation
+// @route   GET /api/properties/:id/pending-changes
+// @access  Private (Owner/Assigned agent/Admin)
+router.get('/:id/pending-changes', protect, getPendingChanges);
 
 // @desc    Get category counts
 // @route   GET /api/properties/category-counts
@@ -117,7 +202,7 @@ router.post('/', protect, upload.fields([
 
 // @desc    Update property
 // @route   PUT /api/properties/:id
-// @access  Private (Owner/Admin)
+// @access  Private (Owner/Agent/Admin)
 router.put('/:id', protect, upload.array('images', 10), [
   body('title').optional().trim().isLength({ min: 5, max: 100 }),
   body('description').optional().trim().isLength({ min: 20, max: 2000 }),
@@ -132,6 +217,69 @@ router.put('/:id', protect, upload.array('images', 10), [
 // @access  Private (Owner/Admin)
 router.delete('/:id', protect, deleteProperty);
 
+// @desc    Mark a property as sold or rented
+// @route   POST /api/properties/:id/close
+// @access  Private (Owner/Agent/Admin)
+router.post('/:id/close', protect, [
+  body('closingPrice').isFloat({ min: 0 }).withMessage('Closing price must be a positive number'),
+  body('closedAt').optional().isISO8601().withMessage('Closing date must be a date'),
+  body('buyerAgent').optional().isMongoId().withMessage('Invalid buyer-side agent'),
+  body('keepListed').optional().isBoolean(),
+  body('notes').optional().trim().isLength({ max: 500 })
+], closeProperty);
+
+// @desc    Renew an approved listing
+// @route   POST /api/properties/:id/renew
+// @access  Private (Owner/Admin)
+router.post('/:id/renew', protect, renewProperty);
+
+// @desc    Reorder property images
+// @route   PUT /api/properties/:id/images/order
+// @access  Private (Owner/Agent/Admin)
+router.put('/:id/images/order', protect, [
+  body('order').isArray({ min: 1 }).withMessage('order must be an array of image ids')
+], reorderPropertyImages);
+
+// @desc    Set the primary property image
+// @route   PUT /api/properties/:id/images/:imageId/primary
+// @access  Private (Owner/Agent/Admin)
+router.put('/:id/images/:imageId/primary', protect, setPrimaryPropertyImage);
+
+// @desc    Update alt text of a property image
+// @route   PUT /api/properties/:id/images/:imageId
+// @access  Private (Owner/Agent/Admin)
+router.put('/:id/images/:imageId', protect, [
+  body('alt').isString().trim().isLength({ max: 200 }).withMessage('Alt text cannot be more than 200 characters')
+], updatePropertyImage);
+
+// @desc    Delete a property image
+// @route   DELETE /api/properties/:id/images/:imageId
+// @access  Private (Owner/Agent/Admin)
+router.delete('/:id/images/:imageId', protect, deletePropertyImage);
+
+// @desc    Get buyers allowed to download the property documents
+// @route   GET /api/properties/:id/documents/access
+// @access  Private (Owner/Admin)
+router.get('/:id/documents/access', protect, getDocumentAccess);
+
+// @desc    Allow a buyer to download the property documents
+// @route   POST /api/properties/:id/documents/access
+// @access  Private (Owner/Admin)
+router.post('/:id/documents/access', protect, [
+  body('userId').optional().isMongoId().withMessage('Invalid user id'),
+  body('email').optional().isEmail().withMessage('Valid email is required')
+], grantDocumentAccess);
+
+// @desc    Revoke a buyer's access to the property documents
+// @route   DELETE /api/properties/:id/documents/access/:userId
+// @access  Private (Owner/Admin)
+router.delete('/:id/documents/access/:userId', protect, revokeDocumentAccess);
+
+// @desc    Get a short-lived download link for a property document
+// @route   GET /api/properties/:id/documents/:docId
+// @access  Private (Owner/Agent/Admin/Granted buyers)
+router.get('/:id/documents/:docId', protect, getPropertyDocument);
+
 // @desc    Add property to favorites
 // @route   POST /api/properties/:id/favorite
 // @access  Private
@@ -0,0 +1,61 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchUnsubscribe,
+  unsubscribeSavedSearch
+} = require('../controllers/savedSearches');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @desc    Ask to confirm stopping email alerts of a saved search (link in a digest)
+// @route   GET /api/saved-searches/unsubscribe/:token
+// @access  Public
+router.get('/unsubscribe/:token', getSavedSearchUnsubscribe);
+
+// @desc    Stop email alerts of a saved search
+// @route   POST /api/saved-searches/unsubscribe/:token
+// @access  Public
+router.post('/unsubscribe/:token', unsubscribeSavedSearch);
+
+// @desc    Get saved searches of the logged-in user
+// @route   GET /api/saved-searches
+// @access  Private
+router.get('/', protect, getSavedSearches);
+
+// @desc    Save a search
+// @route   POST /api/saved-searches
+// @access  Private
+router.post('/', protect, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('frequency').optional().isIn(['instant', 'daily', 'weekly']).withMessage('Invalid frequency'),
+  body('emailAlerts').optional().isBoolean()
+], createSavedSearch);
+
+// @desc    Get a saved search
+// @route   GET /api/saved-searches/:id
+// @access  Private
+router.get('/:id', protect, getSavedSearch);
+
+// @desc    Update a saved search
+// @route   PUT /api/saved-searches/:id
+// @access  Private
+router.put('/:id', protect, [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('frequency').optional().isIn(['instant', 'daily', 'weekly']).withMessage('Invalid frequency'),
+  body('emailAlerts').optional().isBoolean()
+], updateSavedSearch);
+
+// @desc    Delete a saved search
+// @route   DELETE /api/saved-searches/:id
+// @access  Private
+router.delete('/:id', protect, deleteSavedSearch);
+
+module.exports = router;
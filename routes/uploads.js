@@ -0,0 +1,18 @@
+const express = require('express');
+const path = require('path');
+const storageConfig = require('../config/storage');
+const { getPrivateFile } = require('../controllers/uploads');
+
+const router = express.Router();
+
+// @desc    Download a private file through a signed link
+// @route   GET /uploads/private/*
+// @access  Signed link
+router.get('/private/*', getPrivateFile);
+
+// @desc    Public files stored by the local storage driver
+// @route   GET /uploads/*
+// @access  Public
+router.use(express.static(path.join(storageConfig.local.root, 'public'), { maxAge: '7d' }));
+
+module.exports = router;
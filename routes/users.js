@@ -2,6 +2,7 @@ const express = require('express');
 const { body, query } = require('express-validator');
 const {
   getUsers,
+  getRecentlyViewed,
   getUser,
   updateUser,
   deleteUser,
@@ -33,6 +34,13 @@ router.get('/role/:role', protect, authorize('admin'), getUsersByRole);
 // @access  Private (Admin)
 router.get('/stats', protect, authorize('admin'), getUserStats);
 
+// @desc    Get properties the logged-in user viewed, most recent first
+// @route   GET /api/users/me/recently-viewed
+// @access  Private
+router.get('/me/recently-viewed', protect, [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], getRecentlyViewed);
+
 // @desc    Get single user
 // @route   GET /api/users/:id
 // @access  Private (Admin/Owner)
@@ -0,0 +1,57 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { perceptualHash } = require('../utils/imageProcessing');
+const { findImageConflicts } = require('../utils/duplicates');
+
+async function run(){
+  const uri = process.env.MONGODB_URI;
+  if(!uri){
+    console.error('Missing MONGODB_URI in .env');
+    process.exit(1);
+  }
+  await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  console.log('Hashing property images...');
+  const cursor = Property.find({ images: { $elemMatch: { url: { $exists: true }, hash: { $exists: false } } } }).cursor();
+  let hashed = 0;
+  let failed = 0;
+
+  for await (const property of cursor) {
+    for (const image of property.images) {
+      if(image.hash || !image.url) continue;
+
+      try {
+        const response = await fetch(image.url);
+        if(!response.ok) throw new Error(`HTTP ${response.status}`);
+        image.hash = await perceptualHash(Buffer.from(await response.arrayBuffer()));
+        hashed++;
+      } catch (err) {
+        console.error(`Could not hash ${image.url}:`, err.message);
+        failed++;
+      }
+    }
+    await property.save({ validateBeforeSave: false });
+  }
+  console.log('Hashed images:', hashed, 'failed:', failed);
+
+  // Flag photos shared between owners now that every image has a hash
+  console.log('Checking for photos shared between owners...');
+  let flagged = 0;
+  for await (const property of Property.find({ 'images.hash': { $exists: true } }).cursor()) {
+    const conflicts = await findImageConflicts(property);
+    if(conflicts.length === 0) continue;
+
+    await Property.updateOne(
+      { _id: property._id },
+      { $set: { imageConflicts: conflicts.map(({ image, property: conflictId, matchedImage, owner, distance }) => ({ image, property: conflictId, matchedImage, owner, distance })) } }
+    );
+    flagged++;
+  }
+  console.log('Listings with shared photos:', flagged);
+
+  console.log('Done.');
+  await mongoose.disconnect();
+}
+
+run().catch(err => { console.error(err); process.exit(1); });
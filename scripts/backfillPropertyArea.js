@@ -0,0 +1,31 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+
+async function run(){
+  const uri = process.env.MONGODB_URI;
+  if(!uri){
+    console.error('Missing MONGODB_URI in .env');
+    process.exit(1);
+  }
+  await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  console.log('Normalising property areas to square metres...');
+  const cursor = Property.find({ areaSqm: { $exists: false } }).cursor();
+  let updated = 0;
+
+  for await (const property of cursor) {
+    // Let the pre-save hook re-read the 7/12 area and derive every unit
+    if(property.govDetails && property.govDetails.area){
+      property.markModified('govDetails.area');
+    }
+    await property.save({ validateBeforeSave: false });
+    updated++;
+  }
+  console.log('Updated docs:', updated);
+
+  console.log('Done.');
+  await mongoose.disconnect();
+}
+
+run().catch(err => { console.error(err); process.exit(1); });
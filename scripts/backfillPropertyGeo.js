@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { toGeoPoint } = require('../utils/geo');
+
+async function run(){
+  const uri = process.env.MONGODB_URI;
+  if(!uri){
+    console.error('Missing MONGODB_URI in .env');
+    process.exit(1);
+  }
+  await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  console.log('Backfilling location.geo from latitude/longitude...');
+  const cursor = Property.find({}).select('location').lean().cursor();
+  let updated = 0;
+  let skipped = 0;
+
+  for await (const property of cursor) {
+    const coordinates = (property.location && property.location.coordinates) || {};
+    const point = toGeoPoint(coordinates.latitude, coordinates.longitude);
+
+    if(!point){
+      skipped++;
+      continue;
+    }
+
+    await Property.updateOne({ _id: property._id }, { $set: { 'location.geo': point } });
+    updated++;
+  }
+  console.log('Updated docs:', updated, 'Skipped (no coordinates):', skipped);
+
+  console.log('Creating 2dsphere index on location.geo...');
+  await Property.collection.createIndex({ 'location.geo': '2dsphere' });
+
+  console.log('Done.');
+  await mongoose.disconnect();
+}
+
+run().catch(err => { console.error(err); process.exit(1); });
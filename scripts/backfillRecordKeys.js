@@ -0,0 +1,29 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+
+async function run(){
+  const uri = process.env.MONGODB_URI;
+  if(!uri){
+    console.error('Missing MONGODB_URI in .env');
+    process.exit(1);
+  }
+  await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  console.log('Indexing survey and khaata numbers for duplicate detection...');
+  const cursor = Property.find({ recordKeys: { $exists: false } }).cursor();
+  let updated = 0;
+
+  for await (const property of cursor) {
+    // Let the pre-save hook derive the keys from the village and record numbers
+    property.markModified('govDetails');
+    await property.save({ validateBeforeSave: false });
+    updated++;
+  }
+  console.log('Updated docs:', updated);
+
+  console.log('Done.');
+  await mongoose.disconnect();
+}
+
+run().catch(err => { console.error(err); process.exit(1); });
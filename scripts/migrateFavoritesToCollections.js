@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const FavoriteCollection = require('../models/FavoriteCollection');
+
+async function run(){
+  const uri = process.env.MONGODB_URI;
+  if(!uri){
+    console.error('Missing MONGODB_URI in .env');
+    process.exit(1);
+  }
+  await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  console.log('Moving User.favorites into default favorite collections...');
+  // favorites is no longer in the User schema, so read the raw documents
+  const cursor = User.collection.find({ favorites: { $exists: true } }, { projection: { favorites: 1 } });
+  let migrated = 0;
+
+  for await (const user of cursor) {
+    // Creating the default collection imports the old favorites
+    const collection = await FavoriteCollection.getDefault(user._id);
+
+    // A default collection made before may be missing some of them
+    const saved = new Set(collection.items.map(item => item.property.toString()));
+    const missing = (user.favorites || []).filter(id => !saved.has(id.toString()));
+    if(missing.length > 0){
+      collection.items.push(...missing.map(property => ({ property })));
+      await collection.save();
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $unset: { favorites: '' } });
+    migrated++;
+  }
+  console.log('Migrated users:', migrated);
+
+  console.log('Done.');
+  await mongoose.disconnect();
+}
+
+run().catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,46 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { makeFilePrivate } = require('../utils/storage');
+
+async function run(){
+  const uri = process.env.MONGODB_URI;
+  if(!uri){
+    console.error('Missing MONGODB_URI in .env');
+    process.exit(1);
+  }
+  await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  console.log('Moving public property documents to private storage...');
+  const cursor = Property.find({ documents: { $elemMatch: { url: { $exists: true }, key: { $exists: false } } } }).cursor();
+  let moved = 0;
+  let skipped = 0;
+
+  for await (const property of cursor) {
+    for (const document of property.documents) {
+      if(document.key || !document.url) continue;
+
+      try {
+        const key = await makeFilePrivate(document.url);
+        if(!key){
+          // Not one of our uploads, leave it as it is
+          skipped++;
+          continue;
+        }
+        document.key = key;
+        document.url = undefined;
+        moved++;
+      } catch (err) {
+        console.error(`Could not move ${document.url}:`, err.message);
+        skipped++;
+      }
+    }
+    await property.save({ validateBeforeSave: false });
+  }
+  console.log('Moved documents:', moved, 'skipped:', skipped);
+
+  console.log('Done.');
+  await mongoose.disconnect();
+}
+
+run().catch(err => { console.error(err); process.exit(1); });
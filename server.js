@@ -15,9 +15,29 @@ const userRoutes = require('./routes/users');
 const contactRoutes = require('./routes/contact');
 const adminRoutes = require('./routes/admin');
 const messageRoutes = require('./routes/message');
+const marketRoutes = require('./routes/market');
+const savedSearchRoutes = require('./routes/savedSearches');
+const favoriteRoutes = require('./routes/favorites');
+const notificationRoutes = require('./routes/notifications');
+const uploadRoutes = require('./routes/uploads');
+const storageConfig = require('./config/storage');
+const { scheduleListingExpiryJob } = require('./jobs/listingExpiry');
+const { scheduleSavedSearchAlertsJob } = require('./jobs/savedSearchAlerts');
 
 const app = express();
 
+// Behind a reverse proxy, req.ip (rate limiting, anonymous view counting) has
+// to come from X-Forwarded-For. TRUST_PROXY is the number of proxies or a list
+// of their addresses; unset, the header is ignored so clients can't spoof it.
+const parseTrustProxy = (value) => {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+};
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY.trim()));
+}
+
 // CORS configuration - MUST be at the top to handle preflight before any other middleware
 const defaultOrigins = [
   'http://localhost:3000',
@@ -78,6 +98,12 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
   .then(() => {
     console.log('✅ Connected to MongoDB Atlas');
+
+    // Scheduled jobs
+    if (process.env.DISABLE_SCHEDULED_JOBS !== 'true') {
+      scheduleListingExpiryJob();
+      scheduleSavedSearchAlertsJob();
+    }
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -113,6 +139,13 @@ mountRoute('/api/users', userRoutes, 'userRoutes');
 mountRoute('/api/contact', contactRoutes, 'contactRoutes');
 mountRoute('/api/admin', adminRoutes, 'adminRoutes');
 mountRoute('/api/messages', messageRoutes, 'messageRoutes');
+mountRoute('/api/market', marketRoutes, 'marketRoutes');
+mountRoute('/api/saved-searches', savedSearchRoutes, 'savedSearchRoutes');
+mountRoute('/api/favorites', favoriteRoutes, 'favoriteRoutes');
+mountRoute('/api/notifications', notificationRoutes, 'notificationRoutes');
+
+// Files kept by the local storage driver
+mountRoute(storageConfig.local.routePath, uploadRoutes, 'uploadRoutes');
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
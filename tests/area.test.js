@@ -0,0 +1,113 @@
+const {
+  SQM_PER_UNIT,
+  normalizeAreaUnit,
+  toSquareMetres,
+  fromSquareMetres,
+  parseGovArea,
+  deriveAreaFields
+} = require('../utils/area');
+
+describe('normalizeAreaUnit', () => {
+  test('resolves aliases and spellings', () => {
+    expect(normalizeAreaUnit('Sq. Ft')).toBe('sqft');
+    expect(normalizeAreaUnit('bigha')).toBe('vigha');
+    expect(normalizeAreaUnit('વીઘા')).toBe('vigha');
+    expect(normalizeAreaUnit('ha')).toBe('hectare');
+  });
+
+  test('returns null for unknown units', () => {
+    expect(normalizeAreaUnit('furlong')).toBeNull();
+    expect(normalizeAreaUnit(undefined)).toBeNull();
+  });
+});
+
+describe('toSquareMetres / fromSquareMetres', () => {
+  test('converts through square metres', () => {
+    expect(toSquareMetres(1, 'acre')).toBeCloseTo(4046.8564, 4);
+    expect(toSquareMetres('16', 'guntha')).toBeCloseTo(SQM_PER_UNIT.vigha, 4);
+    expect(fromSquareMetres(10000, 'acre')).toBe(2.4711);
+  });
+
+  test('rejects negative, non-numeric and unknown values', () => {
+    expect(toSquareMetres(-1, 'sqm')).toBeNull();
+    expect(toSquareMetres('abc', 'sqm')).toBeNull();
+    expect(toSquareMetres(1, 'furlong')).toBeNull();
+  });
+});
+
+describe('parseGovArea', () => {
+  test('reads hectare-are-sq.m. in Gujarati digits', () => {
+    expect(parseGovArea('હે. આરે. ચો.મી. = ૦-૬૪-૭૫')).toBe(6475);
+    expect(parseGovArea('હે.આરે.ચો.મી.=૧-૦૨-૩૦')).toBe(10230);
+  });
+
+  test('reads hectare-are-sq.m. and are-sq.m.', () => {
+    expect(parseGovArea('1-2-3')).toBe(10203);
+    expect(parseGovArea(' 0 - 64 - 75.5 ')).toBe(6475.5);
+    expect(parseGovArea('64-75')).toBe(6475);
+  });
+
+  test.each([
+    '2 vigha',
+    '5 acres',
+    '1200 sq.ft',
+    '64',
+    '0.5',
+    '2 vigha = 0-64-75',
+    '0-64-75 ha',
+    'abc',
+    '0-100-0',
+    '0-64-100',
+    '1-2-3-4',
+    '12/1',
+    ''
+  ])('does not read %j', (text) => {
+    expect(parseGovArea(text)).toBeNull();
+  });
+
+  test('ignores values that are not strings', () => {
+    expect(parseGovArea(undefined)).toBeNull();
+    expect(parseGovArea(6475)).toBeNull();
+  });
+});
+
+describe('deriveAreaFields', () => {
+  test('derives every stored unit from one square metre value', () => {
+    expect(deriveAreaFields(SQM_PER_UNIT.acre, 'acre')).toEqual({
+      areaSqm: 4046.86,
+      totalArea: 1,
+      areaVigha: 2.5,
+      areaAcre: 1,
+      areaHectare: 0.4047,
+      areaGuntha: 40
+    });
+  });
+});
+
+describe('Property area on save', () => {
+  const Property = require('../models/Property');
+
+  const saveHooks = (property) => new Promise((resolve, reject) => {
+    Property.schema.s.hooks.execPre('save', property, [{ validateBeforeSave: false }], error => (
+      error ? reject(error) : resolve(property)
+    ));
+  });
+
+  test('a free-text 7/12 area keeps the hand-entered area', async () => {
+    const property = await saveHooks(new Property({
+      totalArea: 2,
+      areaUnit: 'vigha',
+      govDetails: { area: '2 vigha' }
+    }));
+    expect(property.areaSqm).toBeCloseTo(2 * SQM_PER_UNIT.vigha, 2);
+  });
+
+  test('a hectare-are-sq.m. 7/12 area wins over the hand-entered area', async () => {
+    const property = await saveHooks(new Property({
+      totalArea: 2,
+      areaUnit: 'vigha',
+      govDetails: { area: '૦-૬૪-૭૫' }
+    }));
+    expect(property.areaSqm).toBe(6475);
+  });
+});
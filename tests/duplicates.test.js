@@ -0,0 +1,96 @@
+const { normalizeRecordNumber, recordKeys } = require('../utils/landRecords');
+const { DUPLICATE_THRESHOLD, scoreCandidate } = require('../utils/duplicates');
+
+describe('normalizeRecordNumber', () => {
+  test('drops survey and khaata labels', () => {
+    expect(normalizeRecordNumber('Survey No. 12/1')).toBe('12/1');
+    expect(normalizeRecordNumber('S. No. 12/1')).toBe('12/1');
+    expect(normalizeRecordNumber('Sy.No.45')).toBe('45');
+    expect(normalizeRecordNumber('Khaata No: 45')).toBe('45');
+  });
+
+  test('unifies separators and spacing', () => {
+    ['12/1', '12-1', '12 / 1', '12 1', '12\\1'].forEach(value => {
+      expect(normalizeRecordNumber(value)).toBe('12/1');
+    });
+    expect(normalizeRecordNumber('12 A')).toBe('12a');
+  });
+
+  test('keeps numbers with and without a separator apart', () => {
+    expect(normalizeRecordNumber('12-1')).not.toBe(normalizeRecordNumber('121'));
+    expect(normalizeRecordNumber('1/21')).not.toBe(normalizeRecordNumber('12/1'));
+  });
+
+  test('reads Gujarati and Devanagari digits', () => {
+    expect(normalizeRecordNumber('૧૨/૧')).toBe('12/1');
+    expect(normalizeRecordNumber('१२-१')).toBe('12/1');
+  });
+
+  test('returns an empty string for missing values', () => {
+    expect(normalizeRecordNumber(undefined)).toBe('');
+    expect(normalizeRecordNumber('  ')).toBe('');
+  });
+});
+
+describe('scoreCandidate', () => {
+  const plot = (overrides = {}) => ({
+    title: 'Agricultural land near highway',
+    owner: 'owner-1',
+    location: { village: 'Vasad', taluka: 'Anand' },
+    govDetails: { surveyNumber: 'Survey No. 12/1', khaataNumber: '45' },
+    images: [],
+    ...overrides
+  });
+
+  test('matches survey numbers written differently in the same village', () => {
+    const { score, reasons } = scoreCandidate(plot(), plot({
+      owner: 'owner-2',
+      title: 'Farm',
+      govDetails: { surveyNumber: '12-1' }
+    }));
+    expect(reasons).toEqual(['same survey number in the same village']);
+    expect(score).toBeGreaterThanOrEqual(DUPLICATE_THRESHOLD);
+  });
+
+  test('ignores record numbers from another village or taluka', () => {
+    expect(scoreCandidate(plot(), plot({ owner: 'owner-2', title: 'Farm', location: { village: 'Umreth' } })).score)
+      .toBe(0);
+    expect(scoreCandidate(plot(), plot({
+      owner: 'owner-2',
+      title: 'Farm',
+      location: { village: 'Vasad', taluka: 'Borsad' }
+    })).score).toBe(0);
+  });
+
+  test('does not treat 12-1 and 121 as the same survey number', () => {
+    const { reasons } = scoreCandidate(plot(), plot({ owner: 'owner-2', govDetails: { surveyNumber: '121' } }));
+    expect(reasons).not.toContain('same survey number in the same village');
+  });
+
+  test('adds up signals and caps the score at 100', () => {
+    const { score, reasons } = scoreCandidate(
+      plot({ images: [{ url: 'a.jpg' }], location: { village: 'Vasad', geo: { coordinates: [72.96, 22.45] } } }),
+      plot({ images: [{ url: 'a.jpg' }], location: { village: 'Vasad', geo: { coordinates: [72.96, 22.45] } } })
+    );
+    expect(score).toBe(100);
+    expect(reasons).toEqual(expect.arrayContaining(['same owner', 'same coordinates', '1 shared image']));
+  });
+
+  test('the same owner alone is not a match', () => {
+    expect(scoreCandidate(plot({ govDetails: {} }), plot({ title: 'Shop', govDetails: {} })).score).toBe(0);
+  });
+});
+
+describe('recordKeys', () => {
+  test('keys survey and khaata numbers by village', () => {
+    expect(recordKeys({
+      location: { village: ' Vasad ' },
+      govDetails: { surveyNumber: 'Survey No. 12-1', khaataNumber: '45' }
+    })).toEqual(['survey:vasad:12/1', 'khaata:vasad:45']);
+  });
+
+  test('has no keys without a village or record numbers', () => {
+    expect(recordKeys({ govDetails: { surveyNumber: '12/1' } })).toEqual([]);
+    expect(recordKeys({ location: { village: 'Vasad' }, govDetails: {} })).toEqual([]);
+  });
+});
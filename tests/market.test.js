@@ -0,0 +1,73 @@
+const Property = require('../models/Property');
+const { getMarketStats } = require('../controllers/market');
+
+const call = async (query) => {
+  const res = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  await getMarketStats({ query }, res);
+  return res;
+};
+
+describe('getMarketStats', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects region filters that are not a single value', async () => {
+    const aggregate = jest.spyOn(Property, 'aggregate');
+
+    const res = await call({ state: { $ne: 'x' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('state must be a single value');
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+
+  test('rejects a type given more than once', async () => {
+    const res = await call({ type: ['land', 'house'] });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('passes region filters to $match as text and groups without $median', async () => {
+    const aggregate = jest.spyOn(Property, 'aggregate').mockResolvedValue([]);
+
+    const res = await call({ level: 'taluka', state: 'Gujarat', district: 'Anand', from: '2024-01-01', to: '2024-03-31' });
+
+    expect(res.statusCode).toBe(200);
+    const [{ $match }, { $group }] = aggregate.mock.calls[0][0];
+    expect($match).toMatchObject({ 'location.state': 'Gujarat', 'location.district': 'Anand' });
+    expect(JSON.stringify($group)).not.toContain('$median');
+  });
+
+  test('works out medians per month and over the whole range', async () => {
+    const id = { type: 'land', state: 'Gujarat', district: 'Anand' };
+    jest.spyOn(Property, 'aggregate').mockResolvedValue([
+      { _id: { ...id, month: '2024-01' }, listings: 3, prices: [300, 100, 200], pricesPerSqm: [3, 1] },
+      { _id: { ...id, month: '2024-03' }, listings: 1, prices: [1000], pricesPerSqm: [] }
+    ]);
+
+    const res = await call({ from: '2024-01-01', to: '2024-03-31' });
+
+    expect(res.body.data.totalListings).toBe(4);
+    const [group] = res.body.data.groups;
+    expect(group).toMatchObject({
+      region: { state: 'Gujarat', district: 'Anand' },
+      type: 'land',
+      listings: 4,
+      medianPrice: 250,
+      medianPricePerSqm: 2
+    });
+    expect(group.trend).toEqual([
+      { month: '2024-01', listings: 3, medianPrice: 200, medianPricePerSqm: 2 },
+      { month: '2024-02', listings: 0, medianPrice: null, medianPricePerSqm: null },
+      { month: '2024-03', listings: 1, medianPrice: 1000, medianPricePerSqm: null }
+    ]);
+  });
+});
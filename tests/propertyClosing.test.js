@@ -0,0 +1,121 @@
+jest.mock('../utils/favoriteNotifications', () => ({
+  snapshotListing: jest.fn(() => ({})),
+  notifyFavoriteWatchers: jest.fn(() => Promise.resolve())
+}));
+
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const Agent = require('../models/Agent');
+const PropertyRevision = require('../models/PropertyRevision');
+const { closeProperty, updateProperty } = require('../controllers/properties');
+const { reopenProperty } = require('../controllers/admin');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const call = async (handler, req) => {
+  const res = response();
+  await handler(req, res);
+  return res;
+};
+
+describe('closing and reopening a listing', () => {
+  const agentUser = { id: objectId().toString(), role: 'agent' };
+  const admin = { id: objectId().toString(), role: 'admin' };
+  let stored;
+  let credits;
+
+  beforeEach(() => {
+    const agentId = objectId();
+    stored = new Property({
+      title: 'Plot near highway',
+      description: 'Agricultural plot',
+      price: 1000000,
+      type: 'land',
+      status: 'for-sale',
+      totalArea: 1,
+      owner: objectId(),
+      agent: agentId,
+      approvalStatus: 'approved'
+    });
+    credits = { propertiesSold: 0, totalSales: 0 };
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (work) => work(),
+      endSession: async () => {}
+    });
+    jest.spyOn(Property, 'findById').mockImplementation(async () => Property.hydrate(stored.toObject()));
+    jest.spyOn(Property, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (filter.status !== stored.status) return null;
+      if (filter.approvalStatus && filter.approvalStatus !== stored.approvalStatus) return null;
+      stored.set(update.$set);
+      Object.keys(update.$unset || {}).forEach(path => stored.set(path, undefined));
+      return stored;
+    });
+    jest.spyOn(Agent, 'exists').mockImplementation(async ({ _id, user }) => (
+      String(_id) === String(agentId) && (user === undefined || user === agentUser.id) ? { _id } : null
+    ));
+    jest.spyOn(Agent, 'updateOne').mockImplementation(async ({ _id }, { $inc }) => {
+      expect(String(_id)).toBe(String(agentId));
+      credits.propertiesSold += $inc.propertiesSold;
+      credits.totalSales += $inc.totalSales;
+    });
+    jest.spyOn(PropertyRevision, 'record').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const close = (price) => call(closeProperty, {
+    params: { id: stored._id.toString() },
+    user: agentUser,
+    body: { closingPrice: String(price) }
+  });
+
+  test('PUT cannot close or reopen a listing', async () => {
+    let res = await call(updateProperty, { params: { id: stored._id.toString() }, user: agentUser, body: { status: 'sold' } });
+    expect(res.statusCode).toBe(400);
+    expect(stored.status).toBe('for-sale');
+
+    await close(900000);
+    res = await call(updateProperty, { params: { id: stored._id.toString() }, user: agentUser, body: { status: 'for-sale' } });
+    expect(res.statusCode).toBe(400);
+    expect(stored.status).toBe('sold');
+    expect(credits).toEqual({ propertiesSold: 1, totalSales: 900000 });
+  });
+
+  test('reopen then re-close credits the agent once', async () => {
+    expect((await close(900000)).statusCode).toBe(200);
+    expect(stored.closing.creditedAgent).toEqual(stored.agent);
+    expect(credits).toEqual({ propertiesSold: 1, totalSales: 900000 });
+
+    const reopened = await call(reopenProperty, { params: { id: stored._id.toString() }, user: admin });
+    expect(reopened.statusCode).toBe(200);
+    expect(stored.status).toBe('for-sale');
+    expect(stored.closing && stored.closing.outcome).toBeUndefined();
+    expect(credits).toEqual({ propertiesSold: 0, totalSales: 0 });
+
+    expect((await close(950000)).statusCode).toBe(200);
+    expect(credits).toEqual({ propertiesSold: 1, totalSales: 950000 });
+  });
+
+  test('only closed listings can be reopened', async () => {
+    const res = await call(reopenProperty, { params: { id: stored._id.toString() }, user: admin });
+    expect(res.statusCode).toBe(400);
+    expect(Agent.updateOne).not.toHaveBeenCalled();
+  });
+});
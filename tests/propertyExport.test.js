@@ -0,0 +1,51 @@
+const { csvCell, exportFormat } = require('../utils/propertyExport');
+
+describe('csvCell', () => {
+  test('leaves plain values alone', () => {
+    expect(csvCell('Anand')).toBe('Anand');
+    expect(csvCell(2500000)).toBe('2500000');
+    expect(csvCell(-5)).toBe('-5');
+    expect(csvCell(true)).toBe('true');
+    expect(csvCell(null)).toBe('');
+  });
+
+  test('writes dates as ISO strings', () => {
+    expect(csvCell(new Date('2024-01-02T03:04:05Z'))).toBe('2024-01-02T03:04:05.000Z');
+  });
+
+  test('quotes cells with commas, quotes and line breaks', () => {
+    expect(csvCell('Anand, Gujarat')).toBe('"Anand, Gujarat"');
+    expect(csvCell('12" wall')).toBe('"12"" wall"');
+    expect(csvCell('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  test('escapes text that a spreadsheet would run as a formula', () => {
+    expect(csvCell('=HYPERLINK("http://x")')).toBe('"\'=HYPERLINK(""http://x"")"');
+    expect(csvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvCell('\tcmd')).toBe("'\tcmd");
+  });
+
+  test('escapes formulas that start with a sign and a digit', () => {
+    expect(csvCell('-1+cmd|\' /C calc\'!A0')).toBe("'-1+cmd|' /C calc'!A0");
+    expect(csvCell('+1-2')).toBe("'+1-2");
+    expect(csvCell('-2.5e3')).toBe("'-2.5e3");
+  });
+
+  test('keeps text that is a plain number in full', () => {
+    expect(csvCell('+919876543210')).toBe('+919876543210');
+    expect(csvCell('-12.5')).toBe('-12.5');
+    expect(csvCell('+7')).toBe('+7');
+  });
+});
+
+describe('exportFormat', () => {
+  test('defaults to csv and accepts known formats in any case', () => {
+    expect(exportFormat()).toBe('csv');
+    expect(exportFormat('XLSX')).toBe('xlsx');
+    expect(exportFormat('ndjson')).toBe('ndjson');
+  });
+
+  test('returns null for unsupported formats', () => {
+    expect(exportFormat('pdf')).toBeNull();
+  });
+});
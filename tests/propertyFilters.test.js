@@ -0,0 +1,55 @@
+const { buildListingFilter, normalizeElectricity } = require('../utils/propertyFilters');
+
+describe('buildListingFilter', () => {
+  test('only returns publicly visible listings', () => {
+    const { filter, near, error } = buildListingFilter({});
+    expect(error).toBeUndefined();
+    expect(near).toBeNull();
+    expect(filter.$or).toEqual([{ isPublished: true }, { approvalStatus: 'approved' }]);
+    expect(filter.expiresAt).toEqual({ $not: { $lte: expect.any(Date) } });
+  });
+
+  test('converts area bounds to square metres', () => {
+    const { filter } = buildListingFilter({ minArea: '1', maxArea: '2', areaUnit: 'Acres' });
+    expect(filter.areaSqm.$gte).toBeCloseTo(4046.86, 2);
+    expect(filter.areaSqm.$lte).toBeCloseTo(8093.71, 2);
+  });
+
+  test('reads area bounds in square feet by default', () => {
+    const { filter } = buildListingFilter({ minArea: '1000' });
+    expect(filter.areaSqm).toEqual({ $gte: expect.any(Number) });
+    expect(filter.areaSqm.$gte).toBeCloseTo(92.9, 1);
+  });
+
+  test.each([
+    [{ minArea: 'abc' }, 'minArea must be a non-negative number'],
+    [{ maxArea: '-5' }, 'maxArea must be a non-negative number'],
+    [{ minArea: '10acres' }, 'minArea must be a non-negative number'],
+    [{ minArea: ['1', '2'] }, 'minArea must be a non-negative number'],
+    [{ minArea: '10', areaUnit: 'furlong' }, 'areaUnit must be one of sqft, sqm, sqyd, guntha, vigha, acre, hectare'],
+    [{ areaUnit: 'furlong' }, 'areaUnit must be one of sqft, sqm, sqyd, guntha, vigha, acre, hectare']
+  ])('rejects %j', (query, message) => {
+    expect(buildListingFilter(query)).toEqual({ error: message });
+  });
+
+  test('maps land detail flags', () => {
+    const { filter } = buildListingFilter({ hasFencing: 'true', hasBorewell: 'false', hasElectricity: 'true' });
+    expect(filter['landInfo.fencing']).toBe(true);
+    expect(filter['landInfo.borewell']).toEqual({ $ne: true });
+    expect(filter['landInfo.electricity']).toEqual({ $in: ['available', 'single-phase', '3-phase'] });
+  });
+
+  test('reads a radius search', () => {
+    expect(buildListingFilter({ near: '22.5,72.9', radiusKm: '5' })).toMatchObject({ near: [72.9, 22.5], radiusKm: 5 });
+    expect(buildListingFilter({ near: '22.5,72.9', radiusKm: '0' }).error).toMatch(/radiusKm/);
+    expect(buildListingFilter({ bbox: '1,2,3,4', polygon: '[]' }).error).toBe('Use either bbox or polygon, not both');
+  });
+});
+
+describe('normalizeElectricity', () => {
+  test('maps free-form values onto the schema enum', () => {
+    expect(normalizeElectricity('Three Phase')).toBe('3-phase');
+    expect(normalizeElectricity('single_phase')).toBe('single-phase');
+    expect(normalizeElectricity('maybe')).toBe('maybe');
+  });
+});
@@ -0,0 +1,225 @@
+jest.mock('../utils/duplicates', () => ({
+  ...jest.requireActual('../utils/duplicates'),
+  findLikelyDuplicates: jest.fn(async () => []),
+  findImageConflicts: jest.fn(async () => [])
+}));
+
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const PropertyRevision = require('../models/PropertyRevision');
+const { findLikelyDuplicates } = require('../utils/duplicates');
+const {
+  IMPORT_COLUMNS,
+  matchImportColumns,
+  rowToPropertyForm,
+  importTemplateCsv
+} = require('../utils/propertyImport');
+const { importProperties } = require('../controllers/properties');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('matchImportColumns', () => {
+  test('matches headers regardless of case, spaces and separators', () => {
+    const { columns, ignored, missing } = matchImportColumns([
+      'Title', 'PRICE', 'status', 'Type', 'Total Area', 'area_unit', 'State', 'Contact Name'
+    ]);
+
+    expect(columns).toEqual({
+      Title: 'title',
+      PRICE: 'price',
+      status: 'status',
+      Type: 'type',
+      'Total Area': 'totalArea',
+      area_unit: 'areaUnit',
+      State: 'state',
+      'Contact Name': 'contactName'
+    });
+    expect(ignored).toEqual([]);
+    expect(missing).toEqual([]);
+  });
+
+  test('lists unknown and repeated headers as ignored and skips blank ones', () => {
+    const { columns, ignored } = matchImportColumns(['title', '', 'Notes', 'TITLE']);
+
+    expect(columns).toEqual({ title: 'title' });
+    expect(ignored).toEqual(['Notes', 'TITLE']);
+  });
+
+  test('reports the required columns that are missing', () => {
+    const { missing } = matchImportColumns(['title', 'price', 'city']);
+    expect(missing).toEqual(['status', 'type', 'totalArea', 'state']);
+  });
+});
+
+describe('rowToPropertyForm', () => {
+  const { columns } = matchImportColumns([
+    'title', 'Price', 'totalArea', 'areaUnit', 'amenities', 'fencing', 'city', 'expectedPricePerUnit'
+  ]);
+
+  test('builds the flat form body and leaves blank cells out', () => {
+    const form = rowToPropertyForm({
+      title: 'Plot A',
+      Price: '₹ 25,00,000',
+      totalArea: '2.5',
+      areaUnit: 'Bigha',
+      amenities: 'Road access; Canal, ',
+      fencing: 'YES',
+      city: '',
+      expectedPricePerUnit: '10,00,000'
+    }, columns);
+
+    expect(form).toEqual({
+      title: 'Plot A',
+      price: '2500000',
+      totalArea: '2.5',
+      areaUnit: 'Bigha',
+      amenities: ['Road access', 'Canal'],
+      fencing: 'yes',
+      expectedPricePerUnit: '1000000'
+    });
+  });
+
+  test('passes formula-prefixed cells through as text', () => {
+    const form = rowToPropertyForm({ title: '=HYPERLINK("http://x")', Price: '=1+2' }, columns);
+    expect(form).toEqual({ title: '=HYPERLINK("http://x")', price: '=1+2' });
+  });
+});
+
+describe('importTemplateCsv', () => {
+  test('has a header row of every column and one example row', () => {
+    const lines = importTemplateCsv().trimEnd().split('\n');
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0].split(',')).toEqual(IMPORT_COLUMNS.map(column => column.name));
+    expect(lines[1]).toContain('"Road access, Canal"');
+  });
+});
+
+describe('importProperties', () => {
+  const user = { id: objectId().toString(), role: 'admin', name: 'Admin', email: 'admin@example.com', phone: '9876543210' };
+  let saved;
+
+  const header = 'title,price,status,type,totalArea,areaUnit,state,village,surveyNumber';
+
+  const callImport = async (csv, query = {}) => {
+    const res = {};
+    res.status = jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    });
+    res.json = jest.fn(body => {
+      res.body = body;
+      return res;
+    });
+    await importProperties({
+      user,
+      query,
+      body: {},
+      file: { buffer: Buffer.from(csv), originalname: 'listings.csv' }
+    }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(Property.prototype, 'save').mockImplementation(function () {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Property, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Property, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(PropertyRevision, 'record').mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    findLikelyDuplicates.mockReset();
+    findLikelyDuplicates.mockResolvedValue([]);
+  });
+
+  test('creates pending listings and maps area units and contact details', async () => {
+    const res = await callImport(`${header}\nPlot A,"25,00,000",for-sale,land,2,Bigha,Gujarat,Moraiya,12/1\n`);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toMatchObject({ totalRows: 1, created: 1, invalid: 0 });
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({
+      price: 2500000,
+      areaUnit: 'vigha',
+      approvalStatus: 'pending',
+      isPublished: false
+    });
+    expect(String(saved[0].owner)).toBe(user.id);
+    expect(saved[0].contactInfo).toMatchObject({ name: 'Admin', email: 'admin@example.com', phone: '9876543210' });
+    expect(saved[0].location).toMatchObject({ state: 'Gujarat', village: 'Moraiya' });
+    expect(saved[0].govDetails.surveyNumber).toBe('12/1');
+  });
+
+  test('reports validation errors per row and imports the valid rows', async () => {
+    const res = await callImport([
+      header,
+      'Plot A,900000,for-sale,land,1,acre,Gujarat,,',
+      'Plot B,=1+2,for-sale,land,1,acre,Gujarat,,',
+      ',900000,for-lease,land,1,acre,Gujarat,,'
+    ].join('\n'));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toMatchObject({ totalRows: 3, valid: 1, invalid: 2, created: 1 });
+    expect(saved.map(property => property.title)).toEqual(['Plot A']);
+
+    const [, formulaRow, blankRow] = res.body.data.rows;
+    expect(formulaRow).toMatchObject({ row: 3, status: 'invalid', title: 'Plot B' });
+    expect(formulaRow.errors.map(error => error.field)).toEqual(['price']);
+    expect(blankRow).toMatchObject({ row: 4, status: 'invalid' });
+    expect(blankRow.errors.map(error => error.field).sort()).toEqual(['status', 'title']);
+  });
+
+  test('validates rows without saving them on a dry run', async () => {
+    const res = await callImport(`${header}\nPlot A,900000,for-sale,land,1,acre,Gujarat,,\n`, { dryRun: 'true' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toMatchObject({ dryRun: true, valid: 1, created: 0 });
+    expect(res.body.data.rows[0]).toEqual({ row: 2, status: 'valid', title: 'Plot A' });
+    expect(saved).toHaveLength(0);
+  });
+
+  test('flags likely duplicates of imported rows', async () => {
+    const existing = objectId();
+    findLikelyDuplicates.mockResolvedValue([{ property: existing, score: 80, reasons: ['survey-number'] }]);
+
+    const res = await callImport(`${header}\nPlot A,900000,for-sale,land,1,acre,Gujarat,Moraiya,12/1\n`);
+
+    expect(res.body.data.rows[0]).toMatchObject({ status: 'created', possibleDuplicates: 1 });
+    expect(saved[0].possibleDuplicates.map(duplicate => String(duplicate.property))).toEqual([String(existing)]);
+    expect(Property.updateOne).toHaveBeenCalledWith(
+      { _id: saved[0]._id },
+      { $set: { possibleDuplicates: saved[0].possibleDuplicates } }
+    );
+    expect(Property.bulkWrite).toHaveBeenCalledWith([expect.objectContaining({
+      updateOne: expect.objectContaining({ filter: { _id: existing, 'possibleDuplicates.property': { $ne: saved[0]._id } } })
+    })]);
+  });
+
+  test('rejects a sheet without the required columns', async () => {
+    const res = await callImport('title,price\nPlot A,900000\n');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Missing required columns: status, type, totalArea, state');
+    expect(saved).toHaveLength(0);
+  });
+
+  test('rejects a malformed file', async () => {
+    const res = await callImport(`${header}\n"Plot A,900000,for-sale\n`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/^Could not read the spreadsheet: /);
+  });
+
+  test('rejects a sheet with no data rows', async () => {
+    const res = await callImport(`${header}\n,,,,,,,,\n`);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('The spreadsheet has no data rows');
+  });
+});
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const User = require('../models/User');
+
+const listing = () => new Property({
+  title: 'Plot near highway',
+  price: 1000000,
+  type: 'land',
+  status: 'for-sale',
+  totalArea: 1,
+  owner: new mongoose.Types.ObjectId(),
+  documents: [{ type: '7-12', key: 'private/712.pdf', name: '712.pdf' }],
+  pendingChanges: {
+    fields: {
+      title: 'Unmoderated title',
+      documents: [{ type: '7-12', key: 'private/new-712.pdf', name: 'new-712.pdf' }]
+    },
+    requestedBy: new mongoose.Types.ObjectId(),
+    requestedAt: new Date(),
+    status: 'pending'
+  }
+});
+
+describe('Property JSON', () => {
+  test('leaves out edits waiting for moderation', () => {
+    const json = listing().toJSON();
+    expect(json).not.toHaveProperty('pendingChanges');
+    expect(JSON.stringify(json)).not.toContain('Unmoderated title');
+  });
+
+  test('leaves out document files', () => {
+    expect(listing().toJSON().documents[0]).not.toHaveProperty('key');
+  });
+});
+
+describe('pendingChangesJSON', () => {
+  test('returns the queued edits without document files', () => {
+    const pending = listing().pendingChangesJSON();
+    expect(pending.status).toBe('pending');
+    expect(pending.fields.title).toBe('Unmoderated title');
+    expect(pending.fields.documents[0]).not.toHaveProperty('key');
+  });
+
+  test('is null when nothing was submitted', () => {
+    const property = listing();
+    property.pendingChanges = undefined;
+    expect(property.pendingChangesJSON()).toBeNull();
+  });
+});
+
+describe('moderation flags', () => {
+  test('suspected duplicates are not serialized', () => {
+    const property = listing();
+    property.possibleDuplicates = [{ property: new mongoose.Types.ObjectId(), score: 90, reasons: ['same owner'] }];
+    expect(property.toJSON()).not.toHaveProperty('possibleDuplicates');
+  });
+
+  test('photos shared with other owners are not serialized', () => {
+    const property = listing();
+    property.imageConflicts = [{ image: new mongoose.Types.ObjectId(), property: new mongoose.Types.ObjectId(), distance: 2 }];
+    expect(property.toJSON()).not.toHaveProperty('imageConflicts');
+  });
+});
+
+describe('price history', () => {
+  const withPriceChanges = () => {
+    const property = listing();
+    property.priceHistory = [
+      { oldPrice: 1200000, newPrice: 1000000, changedBy: property.owner, changedAt: new Date('2024-02-01') }
+    ];
+    return property;
+  };
+
+  test('keeps the price changes but not who made them', () => {
+    const [change] = withPriceChanges().toJSON().priceHistory;
+    expect(change).toMatchObject({ oldPrice: 1200000, newPrice: 1000000 });
+    expect(change).not.toHaveProperty('changedBy');
+  });
+
+  test('the public price history names the role of whoever changed the price', async () => {
+    const { getPriceHistory } = require('../controllers/properties');
+    const property = withPriceChanges();
+    const admin = new User({ name: 'Admin', email: 'admin@example.com', role: 'admin' });
+    const owner = new User({ _id: property.owner, name: 'Ramesh', email: 'ramesh@example.com', role: 'user' });
+    property.priceHistory.push({ oldPrice: 1000000, newPrice: 900000, changedBy: admin._id, changedAt: new Date('2024-03-01') });
+    property.priceHistory.push({ oldPrice: 900000, newPrice: 950000, changedAt: new Date('2024-04-01') });
+
+    const query = {
+      select: jest.fn(() => query),
+      populate: jest.fn(async () => {
+        property.priceHistory[0].changedBy = owner;
+        property.priceHistory[1].changedBy = admin;
+        return property;
+      })
+    };
+    jest.spyOn(Property, 'findById').mockReturnValue(query);
+
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    await getPriceHistory({ params: { id: property._id.toString() } }, res);
+    jest.restoreAllMocks();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const { history } = res.json.mock.calls[0][0].data;
+    expect(history.map(change => change.changedBy)).toEqual([null, 'admin', 'owner']);
+    expect(history[0]).toEqual({ oldPrice: 900000, newPrice: 950000, changedAt: new Date('2024-04-01'), changedBy: null });
+    expect(JSON.stringify(history)).not.toMatch(/Ramesh|Admin|@example.com/);
+  });
+});
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const PropertyView = require('../models/PropertyView');
+const PropertyRedirect = require('../models/PropertyRedirect');
+const PropertyRevision = require('../models/PropertyRevision');
+const FavoriteCollection = require('../models/FavoriteCollection');
+const { mergeProperty } = require('../controllers/admin');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const listing = (overrides) => new Property({
+  title: 'Plot near highway',
+  price: 1000000,
+  type: 'land',
+  status: 'for-sale',
+  totalArea: 1,
+  owner: objectId(),
+  ...overrides
+});
+
+describe('mergeProperty', () => {
+  const session = {
+    withTransaction: async (work) => work(),
+    endSession: async () => {}
+  };
+  const sharedUser = objectId();
+  const grantedUser = objectId();
+  let duplicate;
+  let canonical;
+  let writes;
+
+  const recordWrite = (name, result = { modifiedCount: 1 }) => jest.fn(async (...args) => {
+    writes.push({ name, options: args[args.length - 1] });
+    return result;
+  });
+
+  beforeEach(() => {
+    writes = [];
+    duplicate = listing({
+      views: 40,
+      images: [{ url: 'uploads/dup.jpg', storedFiles: ['uploads/dup.jpg'] }],
+      documents: [{ type: '7-12', key: 'private/dup-712.pdf' }],
+      documentAccess: [{ user: sharedUser }, { user: grantedUser }]
+    });
+    canonical = listing({ views: 10, documentAccess: [{ user: sharedUser }] });
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    jest.spyOn(Property, 'exists').mockResolvedValue({ _id: objectId() });
+    jest.spyOn(Property, 'findById').mockImplementation((id) => ({
+      session: async (used) => {
+        expect(used).toBe(session);
+        return String(id) === String(duplicate._id) ? duplicate : canonical;
+      }
+    }));
+    jest.spyOn(canonical, 'save').mockImplementation(async (options) => {
+      writes.push({ name: 'canonical.save', options });
+      return canonical;
+    });
+    jest.spyOn(FavoriteCollection, 'updateMany').mockImplementation(recordWrite('FavoriteCollection.updateMany'));
+    jest.spyOn(User.collection, 'updateMany').mockImplementation(recordWrite('User.favorites', { modifiedCount: 2 }));
+    jest.spyOn(Contact, 'updateMany').mockImplementation(recordWrite('Contact.updateMany', { modifiedCount: 3 }));
+    jest.spyOn(PropertyView, 'updateMany').mockImplementation(recordWrite('PropertyView.updateMany'));
+    jest.spyOn(PropertyRedirect, 'updateMany').mockImplementation(recordWrite('PropertyRedirect.updateMany'));
+    jest.spyOn(PropertyRedirect, 'create').mockImplementation(recordWrite('PropertyRedirect.create'));
+    jest.spyOn(Property, 'deleteOne').mockImplementation(recordWrite('Property.deleteOne'));
+    jest.spyOn(PropertyRevision, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const merge = async () => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    await mergeProperty({
+      params: { id: duplicate._id.toString() },
+      body: { canonicalId: canonical._id.toString() },
+      user: { id: objectId().toString(), role: 'admin' }
+    }, res);
+    return res;
+  };
+
+  test('runs every write in the transaction', async () => {
+    const res = await merge();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(writes.map(write => write.name)).toEqual(expect.arrayContaining([
+      'canonical.save',
+      'FavoriteCollection.updateMany',
+      'User.favorites',
+      'Contact.updateMany',
+      'PropertyView.updateMany',
+      'PropertyRedirect.updateMany',
+      'PropertyRedirect.create',
+      'Property.deleteOne'
+    ]));
+    writes.forEach(write => expect(write.options).toMatchObject({ session }));
+  });
+
+  test('moves legacy favorites, images, documents and access grants', async () => {
+    const res = await merge();
+
+    expect(User.collection.updateMany).toHaveBeenCalledWith(
+      { $and: [{ favorites: duplicate._id }, { favorites: { $ne: canonical._id } }] },
+      { $set: { 'favorites.$[favorite]': canonical._id } },
+      { arrayFilters: [{ favorite: duplicate._id }], session }
+    );
+    expect(User.collection.updateMany).toHaveBeenCalledWith(
+      { favorites: duplicate._id },
+      { $pull: { favorites: duplicate._id } },
+      { session }
+    );
+
+    expect(canonical.images.map(image => image.url)).toEqual(['uploads/dup.jpg']);
+    expect(canonical.documents.map(document => document.key)).toEqual(['private/dup-712.pdf']);
+    expect(canonical.documentAccess.map(grant => String(grant.user))).toEqual([String(sharedUser), String(grantedUser)]);
+    expect(canonical.views).toBe(40);
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({
+      imagesAdded: 1,
+      documentsAdded: 1,
+      favoritesMoved: 3,
+      inquiriesMoved: 3
+    });
+  });
+
+  test('a failing write fails the whole merge', async () => {
+    Contact.updateMany.mockRejectedValue(new Error('write conflict'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await merge();
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(Property.deleteOne).not.toHaveBeenCalled();
+    expect(PropertyRevision.record).not.toHaveBeenCalled();
+  });
+});
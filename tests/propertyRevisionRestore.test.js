@@ -0,0 +1,59 @@
+jest.mock('../utils/favoriteNotifications', () => ({
+  snapshotListing: jest.fn(() => ({})),
+  notifyFavoriteWatchers: jest.fn(() => Promise.resolve())
+}));
+
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const PropertyRevision = require('../models/PropertyRevision');
+const { restorePropertyRevision } = require('../controllers/admin');
+
+describe('restorePropertyRevision', () => {
+  let property;
+  let revision;
+
+  beforeEach(() => {
+    property = new Property({
+      title: 'New title',
+      price: 1200000,
+      type: 'land',
+      status: 'for-sale',
+      totalArea: 1,
+      owner: new mongoose.Types.ObjectId(),
+      approvalStatus: 'approved',
+      images: [{ url: 'uploads/kept.jpg', storedFiles: ['uploads/kept.jpg'], isPrimary: true }],
+      documents: [{ type: '7-12', key: 'private/current-712.pdf' }]
+    });
+
+    // An older version with a photo and a document whose files were deleted since
+    const old = Property.hydrate(property.toObject());
+    old.title = 'Old title';
+    old.price = 1000000;
+    old.images.push({ url: 'uploads/deleted.jpg', storedFiles: ['uploads/deleted.jpg'] });
+    old.documents = [{ type: '7-12', key: 'private/deleted-712.pdf' }];
+    revision = { _id: new mongoose.Types.ObjectId(), version: 1, snapshot: PropertyRevision.snapshotOf(old) };
+
+    jest.spyOn(Property, 'findById').mockResolvedValue(property);
+    jest.spyOn(PropertyRevision, 'findOne').mockResolvedValue(revision);
+    jest.spyOn(PropertyRevision, 'record').mockResolvedValue({});
+    jest.spyOn(property, 'save').mockResolvedValue(property);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('restores the listing fields but keeps the current images and documents', async () => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    await restorePropertyRevision({
+      params: { id: property._id.toString(), revisionId: revision._id.toString() },
+      user: { id: new mongoose.Types.ObjectId().toString(), role: 'admin' }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(property.title).toBe('Old title');
+    expect(property.price).toBe(1000000);
+    expect(property.images.map(image => image.url)).toEqual(['uploads/kept.jpg']);
+    expect(property.documents.map(document => document.key)).toEqual(['private/current-712.pdf']);
+  });
+});
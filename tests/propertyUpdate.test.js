@@ -0,0 +1,141 @@
+jest.mock('../utils/favoriteNotifications', () => ({
+  snapshotListing: jest.fn(() => ({})),
+  notifyFavoriteWatchers: jest.fn(() => Promise.resolve())
+}));
+
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const Agent = require('../models/Agent');
+const PropertyRevision = require('../models/PropertyRevision');
+const { updateProperty } = require('../controllers/properties');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const call = async (req) => {
+  const res = {};
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  await updateProperty(req, res);
+  return res;
+};
+
+describe('updateProperty with the flat property form fields', () => {
+  const owner = { id: objectId().toString(), role: 'user' };
+  const agentUser = { id: objectId().toString(), role: 'agent' };
+  let stored;
+  let saved;
+
+  beforeEach(() => {
+    stored = new Property({
+      title: 'Plot near highway',
+      description: 'Agricultural plot',
+      price: 1000000,
+      type: 'land',
+      status: 'for-sale',
+      totalArea: 1,
+      owner: owner.id,
+      agent: objectId(),
+      approvalStatus: 'pending',
+      contactInfo: { name: 'Ramesh', email: 'ramesh@example.com', phone: '9876543210' },
+      location: {
+        address: 'Near Gram Panchayat',
+        city: 'Sanand',
+        state: 'Gujarat',
+        village: 'Moraiya',
+        zipCode: '382213',
+        coordinates: { latitude: 22.9, longitude: 72.4 }
+      },
+      govDetails: { surveyNumber: '12/1', khaataNumber: '345' }
+    });
+    saved = null;
+
+    jest.spyOn(Property, 'findById').mockImplementation(async () => Property.hydrate(stored.toObject()));
+    jest.spyOn(Property.prototype, 'save').mockImplementation(function () {
+      saved = this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Property.prototype, 'populate').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Agent, 'exists').mockImplementation(async ({ _id, user }) => (
+      String(_id) === String(stored.agent) && user === agentUser.id ? { _id } : null
+    ));
+    jest.spyOn(PropertyRevision, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('updates only the nested fields the form sent', async () => {
+    const res = await call({
+      params: { id: stored._id.toString() },
+      user: owner,
+      body: {
+        title: 'Plot near the highway',
+        contactPhone: '9123456780',
+        whatsappNumber: '9123456780',
+        city: 'Bavla',
+        pincode: '382220',
+        latitude: '23.01',
+        longitude: '',
+        khaataNumber: '346'
+      }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(saved.title).toBe('Plot near the highway');
+    expect(saved.contactInfo.toObject()).toMatchObject({
+      name: 'Ramesh',
+      email: 'ramesh@example.com',
+      phone: '9123456780',
+      whatsappNumber: '9123456780'
+    });
+    expect(saved.location.toObject()).toMatchObject({
+      address: 'Near Gram Panchayat',
+      city: 'Bavla',
+      state: 'Gujarat',
+      village: 'Moraiya',
+      zipCode: '382220',
+      coordinates: { latitude: 23.01, longitude: 72.4 }
+    });
+    expect(saved.govDetails.toObject()).toMatchObject({ surveyNumber: '12/1', khaataNumber: '346' });
+    ['contactPhone', 'city', 'pincode', 'latitude', 'khaataNumber'].forEach(field => {
+      expect(saved.get(field)).toBeUndefined();
+    });
+  });
+
+  test('queues location edits to an approved listing for review', async () => {
+    stored.approvalStatus = 'approved';
+
+    const res = await call({
+      params: { id: stored._id.toString() },
+      user: owner,
+      body: { village: 'Chharodi', contactName: 'Suresh' }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(saved.location.village).toBe('Moraiya');
+    expect(saved.contactInfo.name).toBe('Suresh');
+    expect(Object.keys(res.body.data.pendingChanges.fields)).toEqual(['location']);
+    expect(res.body.data.pendingChanges.fields.location).toMatchObject({ village: 'Chharodi', city: 'Sanand' });
+  });
+
+  test('the assigned agent cannot change the 7/12 details through the form', async () => {
+    const res = await call({
+      params: { id: stored._id.toString() },
+      user: agentUser,
+      body: { contactName: 'Suresh', surveyNumber: '13' }
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.rejectedFields).toEqual(['surveyNumber']);
+    expect(saved).toBeNull();
+  });
+});
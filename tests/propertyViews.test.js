@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const PropertyView = require('../models/PropertyView');
+const Agent = require('../models/Agent');
+const { isBot, recordPropertyView } = require('../utils/propertyViews');
+const { propertyViews } = require('../config/propertyViews');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const request = ({ user, userAgent = BROWSER, ip = '203.0.113.7' } = {}) => ({
+  user,
+  ip,
+  get: (header) => (header === 'user-agent' ? userAgent : undefined)
+});
+
+const userOf = (id, role = 'user') => ({ _id: id, id: id.toString(), role });
+
+describe('isBot', () => {
+  test('flags crawlers, scripts and missing user agents', () => {
+    expect(isBot('Googlebot/2.1 (+http://www.google.com/bot.html)')).toBe(true);
+    expect(isBot('curl/8.0.1')).toBe(true);
+    expect(isBot(undefined)).toBe(true);
+    expect(isBot(BROWSER)).toBe(false);
+  });
+});
+
+describe('recordPropertyView', () => {
+  let property;
+  let events;
+
+  // Upserts behave like MongoDB's on the unique dedupKey index: the key check
+  // and insert happen in one step
+  const upsertEvent = async (filter, update) => {
+    if (!filter.dedupKey) return { upsertedCount: 0, modifiedCount: 1 };
+    const existing = events.get(filter.dedupKey);
+    if (existing) {
+      Object.assign(existing, update.$set);
+      return { upsertedCount: 0, modifiedCount: 1 };
+    }
+    events.set(filter.dedupKey, { ...update.$setOnInsert, ...update.$set });
+    return { upsertedCount: 1, modifiedCount: 0 };
+  };
+
+  beforeEach(() => {
+    property = { _id: objectId(), owner: objectId(), agent: null };
+    events = new Map();
+    jest.spyOn(PropertyView, 'updateOne').mockImplementation(upsertEvent);
+    jest.spyOn(PropertyView, 'create');
+    jest.spyOn(PropertyView, 'exists');
+    jest.spyOn(Property, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Agent, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const countedUpserts = () => PropertyView.updateOne.mock.calls.filter(([filter]) => filter.dedupKey);
+
+  test('ignores bots', async () => {
+    expect(await recordPropertyView(property, request({ userAgent: 'Googlebot/2.1' }))).toBe(false);
+    expect(PropertyView.updateOne).not.toHaveBeenCalled();
+    expect(Property.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('counts the first view of an anonymous visitor once per window', async () => {
+    expect(await recordPropertyView(property, request())).toBe(true);
+    expect(await recordPropertyView(property, request())).toBe(false);
+
+    expect(events.size).toBe(1);
+    const [event] = events.values();
+    expect(event).toMatchObject({ property: property._id, counted: true, lastViewedAt: expect.any(Date) });
+    expect(event.fingerprint).toMatch(/^[0-9a-f]{32}$/);
+    expect(Property.updateOne).toHaveBeenCalledTimes(1);
+    expect(Property.updateOne).toHaveBeenCalledWith({ _id: property._id }, { $inc: { views: 1 } });
+  });
+
+  test('counts concurrent requests of one viewer once', async () => {
+    const user = userOf(objectId());
+    const results = await Promise.all(Array.from({ length: 5 }, () => recordPropertyView(property, request({ user }))));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(Property.updateOne).toHaveBeenCalledTimes(1);
+    expect(events.size).toBe(1);
+    // The check and the count are one upsert, not a lookup followed by an insert
+    expect(PropertyView.exists).not.toHaveBeenCalled();
+    expect(PropertyView.create).not.toHaveBeenCalled();
+  });
+
+  test('treats a duplicate key from a concurrent upsert as already counted', async () => {
+    PropertyView.updateOne.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    expect(await recordPropertyView(property, request())).toBe(false);
+    expect(Property.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('keys the counted event by listing, viewer and window', async () => {
+    const user = userOf(objectId());
+    await recordPropertyView(property, request({ user }));
+
+    const windowMs = propertyViews.dedupWindowMinutes * 60 * 1000;
+    const [[filter, update, options]] = countedUpserts();
+    expect(filter).toEqual({ dedupKey: `${property._id}:${user._id}:${Math.floor(Date.now() / windowMs)}` });
+    expect(update.$setOnInsert).toMatchObject({ property: property._id, user: user._id, counted: true });
+    expect(options).toEqual({ upsert: true });
+  });
+
+  test('tells anonymous visitors apart by IP address and user agent', async () => {
+    expect(await recordPropertyView(property, request())).toBe(true);
+    expect(await recordPropertyView(property, request({ ip: '198.51.100.1' }))).toBe(true);
+    expect(await recordPropertyView(property, request({ userAgent: `${BROWSER} Edg/120.0` }))).toBe(true);
+    expect(Property.updateOne).toHaveBeenCalledTimes(3);
+  });
+
+  test('only touches the event on repeat views of a logged-in user', async () => {
+    const user = userOf(objectId());
+    expect(await recordPropertyView(property, request({ user }))).toBe(true);
+    const [event] = events.values();
+    const firstView = event.lastViewedAt;
+
+    expect(await recordPropertyView(property, request({ user, ip: '198.51.100.1' }))).toBe(false);
+    expect(events.size).toBe(1);
+    expect(event.lastViewedAt.getTime()).toBeGreaterThanOrEqual(firstView.getTime());
+  });
+
+  test('never counts the owner, the assigned agent or an admin', async () => {
+    const agentUser = userOf(objectId(), 'agent');
+    property.agent = objectId();
+    Agent.exists.mockImplementation(async ({ _id, user }) => (
+      String(_id) === String(property.agent) && user === agentUser.id ? { _id } : null
+    ));
+
+    for (const user of [userOf(property.owner), userOf(objectId(), 'admin'), agentUser]) {
+      expect(await recordPropertyView(property, request({ user }))).toBe(false);
+    }
+    expect(countedUpserts()).toHaveLength(0);
+    expect(Property.updateOne).not.toHaveBeenCalled();
+
+    const [filter, update, options] = PropertyView.updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ property: property._id, user: property.owner, viewedAt: { $gt: expect.any(Date) } });
+    expect(update).toEqual({
+      $set: { lastViewedAt: expect.any(Date) },
+      $setOnInsert: { viewedAt: expect.any(Date), counted: false }
+    });
+    expect(options).toEqual({ upsert: true });
+  });
+
+  test('counts agents viewing listings they are not assigned to', async () => {
+    property.agent = objectId();
+    expect(await recordPropertyView(property, request({ user: userOf(objectId(), 'agent') }))).toBe(true);
+  });
+});
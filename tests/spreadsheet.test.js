@@ -0,0 +1,98 @@
+const ExcelJS = require('exceljs');
+const { spreadsheetFormat, readSpreadsheet } = require('../utils/spreadsheet');
+
+const xlsxBuffer = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Listings');
+  rows.forEach(row => sheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+describe('spreadsheetFormat', () => {
+  test('reads the format from the file extension in any case', () => {
+    expect(spreadsheetFormat('listings.csv')).toBe('csv');
+    expect(spreadsheetFormat('Listings.XLSX')).toBe('xlsx');
+  });
+
+  test('returns null for other or missing extensions', () => {
+    expect(spreadsheetFormat('listings.xls')).toBeNull();
+    expect(spreadsheetFormat('listings')).toBeNull();
+    expect(spreadsheetFormat()).toBeNull();
+  });
+});
+
+describe('readSpreadsheet', () => {
+  test('keys CSV rows by the header and numbers them as the user sees them', async () => {
+    const csv = '﻿title,price\nPlot A,"25,00,000"\n\n , \nPlot B,900000\n';
+    const { header, rows } = await readSpreadsheet(Buffer.from(csv), 'listings.csv');
+
+    expect(header).toEqual(['title', 'price']);
+    expect(rows).toEqual([
+      { rowNumber: 2, values: { title: 'Plot A', price: '25,00,000' } },
+      { rowNumber: 5, values: { title: 'Plot B', price: '900000' } }
+    ]);
+  });
+
+  test('pads short CSV rows and drops cells past the header', async () => {
+    const csv = 'title,price,city\nPlot A,100\nPlot B,200,Anand,extra\n';
+    const { rows } = await readSpreadsheet(Buffer.from(csv), 'listings.csv');
+
+    expect(rows[0].values).toEqual({ title: 'Plot A', price: '100', city: '' });
+    expect(rows[1].values).toEqual({ title: 'Plot B', price: '200', city: 'Anand' });
+  });
+
+  test('ignores columns without a header', async () => {
+    const csv = 'title,,price\nPlot A,note,100\n';
+    const { rows } = await readSpreadsheet(Buffer.from(csv), 'listings.csv');
+
+    expect(rows[0].values).toEqual({ title: 'Plot A', price: '100' });
+  });
+
+  test('rejects a CSV file with an unterminated quote', async () => {
+    const csv = 'title,price\n"Plot A,100\n';
+    await expect(readSpreadsheet(Buffer.from(csv), 'listings.csv')).rejects.toThrow();
+  });
+
+  test('keeps formula-prefixed CSV cells as plain text', async () => {
+    const csv = 'title,price\n"=HYPERLINK(""http://x"")",=1+2\n';
+    const { rows } = await readSpreadsheet(Buffer.from(csv), 'listings.csv');
+
+    expect(rows[0].values).toEqual({ title: '=HYPERLINK("http://x")', price: '=1+2' });
+  });
+
+  test('reads the first sheet of an XLSX workbook', async () => {
+    const buffer = await xlsxBuffer([
+      ['title', 'price', 'city'],
+      ['Plot A', 2500000, 'Anand'],
+      [],
+      ['Plot B', null, 'Nadiad']
+    ]);
+    const { header, rows } = await readSpreadsheet(buffer, 'listings.xlsx');
+
+    expect(header).toEqual(['title', 'price', 'city']);
+    expect(rows).toEqual([
+      { rowNumber: 2, values: { title: 'Plot A', price: '2500000', city: 'Anand' } },
+      { rowNumber: 4, values: { title: 'Plot B', price: '', city: 'Nadiad' } }
+    ]);
+  });
+
+  test('reads the cached result of XLSX formula cells, not the formula', async () => {
+    const buffer = await xlsxBuffer([
+      ['title', 'price', 'totalArea'],
+      [{ richText: [{ text: 'Plot ' }, { text: 'A' }] }, { formula: 'B3*2', result: 5000000 }, { formula: 'NOW()' }]
+    ]);
+    const { rows } = await readSpreadsheet(buffer, 'listings.xlsx');
+
+    expect(rows[0].values).toEqual({ title: 'Plot A', price: '5000000', totalArea: '' });
+  });
+
+  test('rejects files that are not XLSX workbooks', async () => {
+    await expect(readSpreadsheet(Buffer.from('title,price\n'), 'listings.xlsx'))
+      .rejects.toThrow('File is not a valid XLSX workbook');
+  });
+
+  test('rejects unsupported file types', async () => {
+    await expect(readSpreadsheet(Buffer.from(''), 'listings.pdf'))
+      .rejects.toThrow('Unsupported file type, expected one of csv, xlsx');
+  });
+});
@@ -0,0 +1,54 @@
+const { WRITE_POLICIES, getRejectedFields } = require('../utils/writePolicy');
+
+describe('getRejectedFields', () => {
+  test('accepts fields the role may write', () => {
+    expect(getRejectedFields('property', 'owner', { title: 'Plot', price: 100, landInfo: {} })).toEqual([]);
+  });
+
+  test('rejects moderation and system fields for owners', () => {
+    expect(getRejectedFields('property', 'owner', {
+      title: 'Plot',
+      approvalStatus: 'approved',
+      isFeatured: true,
+      views: 1000
+    })).toEqual(['approvalStatus', 'isFeatured', 'views']);
+  });
+
+  test('checks dotted keys by their first segment', () => {
+    expect(getRejectedFields('property', 'owner', { 'location.village': 'Anand', 'owner.name': 'x' }))
+      .toEqual(['owner.name']);
+  });
+
+  test('never lets a role write images directly', () => {
+    ['owner', 'agent', 'admin'].forEach(role => {
+      expect(WRITE_POLICIES.property[role]).not.toContain('images');
+      expect(getRejectedFields('property', role, { images: [{ url: 'x', hash: 'y' }] })).toEqual(['images']);
+      expect(getRejectedFields('property', role, { 'images.0.renditions': 'x' })).toEqual(['images.0.renditions']);
+    });
+  });
+
+  test('the assigned agent cannot change what the listing is', () => {
+    expect(getRejectedFields('property', 'agent', { type: 'land', govDetails: {}, price: 5 }))
+      .toEqual(['type', 'govDetails']);
+  });
+
+  test('allows flat form fields wherever the nested field is allowed', () => {
+    const form = { contactName: 'Ramesh', latitude: '22.9', city: 'Anand', pincode: '388001', surveyNumber: '12/1' };
+
+    expect(getRejectedFields('property', 'owner', form)).toEqual([]);
+    expect(getRejectedFields('property', 'agent', form)).toEqual(['surveyNumber']);
+    expect(getRejectedFields('property', 'owner', { contactName: 'x', ownerName: 'y' })).toEqual(['ownerName']);
+  });
+
+  test('admins may moderate but users may not change their own status', () => {
+    expect(getRejectedFields('property', 'admin', { isPublished: false, isFeatured: true })).toEqual([]);
+    expect(getRejectedFields('user', 'self', { name: 'A', isActive: true, role: 'admin' }))
+      .toEqual(['isActive', 'role']);
+  });
+
+  test('rejects everything for unknown resources or roles', () => {
+    expect(getRejectedFields('property', 'guest', { title: 'x' })).toEqual(['title']);
+    expect(getRejectedFields('invoice', 'admin', { total: 1 })).toEqual(['total']);
+    expect(getRejectedFields('property', 'owner', undefined)).toEqual([]);
+  });
+});
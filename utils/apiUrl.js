@@ -0,0 +1,8 @@
+// Absolute link to this API (API_URL), used where a link must reach the
+// backend directly, such as file URLs and unsubscribe links in emails
+const apiUrl = (path = '') => {
+  const base = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+  return `${base}${path}`;
+};
+
+module.exports = apiUrl;
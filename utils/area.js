@@ -0,0 +1,117 @@
+// Area conversion helpers. Everything is normalised to square metres first and
+// converted from there, so all area fields on a property stay consistent.
+
+// Square metres in one unit of each supported measure
+const SQM_PER_UNIT = {
+  sqm: 1,
+  sqft: 0.09290304,
+  sqyd: 0.83612736,
+  are: 100,
+  guntha: 101.17141056,
+  // Gujarat vigha = 16 guntha; override where the local measure differs
+  vigha: parseFloat(process.env.AREA_VIGHA_SQM) || 1618.74256896,
+  acre: 4046.8564224,
+  hectare: 10000
+};
+
+const AREA_UNITS = ['sqft', 'sqm', 'sqyd', 'guntha', 'vigha', 'acre', 'hectare'];
+
+const UNIT_ALIASES = {
+  sqm: 'sqm',
+  'sq.m': 'sqm',
+  'sq-m': 'sqm',
+  m2: 'sqm',
+  'ચો.મી': 'sqm',
+  sqft: 'sqft',
+  'sq.ft': 'sqft',
+  'sq-ft': 'sqft',
+  ft2: 'sqft',
+  sqyd: 'sqyd',
+  'sq.yd': 'sqyd',
+  'sq-yd': 'sqyd',
+  vaar: 'sqyd',
+  var: 'sqyd',
+  are: 'are',
+  guntha: 'guntha',
+  gunta: 'guntha',
+  vigha: 'vigha',
+  vigaa: 'vigha',
+  bigha: 'vigha',
+  'વીઘા': 'vigha',
+  acre: 'acre',
+  acres: 'acre',
+  hectare: 'hectare',
+  hectares: 'hectare',
+  ha: 'hectare'
+};
+
+// Resolve a user supplied unit name ("Sq. Ft", "bigha", "ha") to a canonical unit
+const normalizeAreaUnit = (unit) => {
+  if (typeof unit !== 'string') return null;
+  const key = unit.trim().toLowerCase().replace(/\s+/g, '').replace(/\.$/, '');
+  return UNIT_ALIASES[key] || null;
+};
+
+const round = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const toSquareMetres = (value, unit) => {
+  const amount = parseFloat(value);
+  const canonical = normalizeAreaUnit(unit);
+  if (!Number.isFinite(amount) || amount < 0 || !canonical) return null;
+  return amount * SQM_PER_UNIT[canonical];
+};
+
+const fromSquareMetres = (sqm, unit) => {
+  const canonical = normalizeAreaUnit(unit);
+  if (!Number.isFinite(sqm) || !canonical) return null;
+  return round(sqm / SQM_PER_UNIT[canonical], 4);
+};
+
+// Replace Gujarati (૦-૯) and Devanagari (०-९) digits with ASCII digits
+const toAsciiDigits = (text) => text
+  .replace(/[૦-૯]/g, digit => String(digit.charCodeAt(0) - 0x0AE6))
+  .replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+
+// A 7/12 area: "hectare-are-sq.m." or "are-sq.m.", optionally after a label
+// without digits such as "હે. આરે. ચો.મી. ="
+const GOV_AREA_PATTERN = /^(?:[^\d=]*=)?\s*(?:(\d+)\s*-\s*)?(\d+)\s*-\s*(\d+(?:\.\d+)?)\s*$/;
+
+// Parse a 7/12 style area "હે. આરે. ચો.મી. = ૦-૬૪-૭૫" (hectare-are-sq.m.)
+// into square metres. Returns null for anything else, including areas
+// written with a unit ("2 vigha", "1200 sq.ft") or as a single number, so
+// free text never overrides the hand-entered area.
+const parseGovArea = (text) => {
+  if (typeof text !== 'string') return null;
+
+  const match = toAsciiDigits(text).match(GOV_AREA_PATTERN);
+  if (!match) return null;
+
+  const [hectare, are, sqm] = [match[1] || 0, match[2], match[3]].map(Number);
+  if (are >= 100 || sqm >= 100) return null;
+
+  return hectare * SQM_PER_UNIT.hectare + are * SQM_PER_UNIT.are + sqm;
+};
+
+// Every stored area field derived from a single square metre value
+const deriveAreaFields = (sqm, totalAreaUnit) => ({
+  areaSqm: round(sqm, 2),
+  totalArea: fromSquareMetres(sqm, totalAreaUnit || 'sqft'),
+  areaVigha: fromSquareMetres(sqm, 'vigha'),
+  areaAcre: fromSquareMetres(sqm, 'acre'),
+  areaHectare: fromSquareMetres(sqm, 'hectare'),
+  areaGuntha: fromSquareMetres(sqm, 'guntha')
+});
+
+module.exports = {
+  AREA_UNITS,
+  SQM_PER_UNIT,
+  normalizeAreaUnit,
+  toSquareMetres,
+  fromSquareMetres,
+  toAsciiDigits,
+  parseGovArea,
+  deriveAreaFields
+};
@@ -0,0 +1,55 @@
+// Field level diffing of plain objects (e.g. doc.toObject() snapshots).
+// Nested objects are compared path by path; arrays are compared as a whole.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// JSON round trip so ObjectIds, Dates and subdocuments compare by value
+const normalize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// JSON string that ignores key order, for comparing values by content
+const stableStringify = (value) => {
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) return item.map(sortKeys);
+    if (isPlainObject(item)) {
+      return Object.keys(item).sort().reduce((sorted, key) => {
+        sorted[key] = sortKeys(item[key]);
+        return sorted;
+      }, {});
+    }
+    return item;
+  };
+  return JSON.stringify(sortKeys(value));
+};
+
+const flatten = (value, prefix = '', out = {}) => {
+  Object.keys(value).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const child = value[key];
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flatten(child, path, out);
+    } else {
+      out[path] = child;
+    }
+  });
+  return out;
+};
+
+// List of { path, before, after } for every path that differs
+const diffObjects = (before, after) => {
+  const left = flatten(normalize(before) || {});
+  const right = flatten(normalize(after) || {});
+  const paths = new Set([...Object.keys(left), ...Object.keys(right)]);
+
+  return Array.from(paths)
+    .filter(path => stableStringify(left[path]) !== stableStringify(right[path]))
+    .sort()
+    .map(path => ({ path, before: left[path], after: right[path] }));
+};
+
+module.exports = {
+  normalize,
+  stableStringify,
+  diffObjects
+};
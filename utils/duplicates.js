@@ -0,0 +1,226 @@
+const Property = require('../models/Property');
+const { distanceKm } = require('./geo');
+const { normalizeRecordNumber, normalizeText, recordKeys } = require('./landRecords');
+const { hashBandNeighbours, hammingDistance } = require('./imageProcessing');
+
+// Score at which a candidate is reported as a likely duplicate
+const DUPLICATE_THRESHOLD = 40;
+const NEARBY_KM = 0.2;
+const MAX_CANDIDATES = 200;
+
+// Photos whose perceptual hashes differ in at most this many bits are treated
+// as the same photo; unrelated photos are typically 25+ bits apart
+const MAX_IMAGE_DISTANCE = 7;
+
+const bigrams = (text) => {
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) grams.push(text.slice(i, i + 2));
+  return grams;
+};
+
+// Dice coefficient of character bigrams, 0 (different) to 1 (identical)
+const titleSimilarity = (a, b) => {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  if (leftGrams.length === 0 || rightGrams.length === 0) return 0;
+
+  const counts = new Map();
+  leftGrams.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+
+  let shared = 0;
+  rightGrams.forEach(gram => {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(gram, count - 1);
+    }
+  });
+
+  return (2 * shared) / (leftGrams.length + rightGrams.length);
+};
+
+const sameText = (a, b) => !!a && !!b && normalizeText(a) === normalizeText(b);
+
+const geoCoordinates = (property) => {
+  const geo = property.location && property.location.geo;
+  return geo && Array.isArray(geo.coordinates) && geo.coordinates.length === 2 ? geo.coordinates : null;
+};
+
+// Score how likely `candidate` is the same plot as `property`
+const scoreCandidate = (property, candidate) => {
+  const reasons = [];
+  let score = 0;
+
+  const location = property.location || {};
+  const candidateLocation = candidate.location || {};
+  const sameVillage = sameText(location.village, candidateLocation.village) &&
+    (!location.taluka || !candidateLocation.taluka || sameText(location.taluka, candidateLocation.taluka));
+
+  const gov = property.govDetails || {};
+  const candidateGov = candidate.govDetails || {};
+
+  // Survey and khaata numbers are only unique within a village
+  const surveyNumber = normalizeRecordNumber(gov.surveyNumber);
+  if (surveyNumber && sameVillage && surveyNumber === normalizeRecordNumber(candidateGov.surveyNumber)) {
+    score += 50;
+    reasons.push('same survey number in the same village');
+  }
+
+  const khaataNumber = normalizeRecordNumber(gov.khaataNumber);
+  if (khaataNumber && sameVillage && khaataNumber === normalizeRecordNumber(candidateGov.khaataNumber)) {
+    score += 40;
+    reasons.push('same khaata number in the same village');
+  }
+
+  const imageUrls = new Set((property.images || []).map(image => image.url).filter(Boolean));
+  const sharedImages = (candidate.images || []).filter(image => imageUrls.has(image.url)).length;
+  if (sharedImages > 0) {
+    score += 40;
+    reasons.push(`${sharedImages} shared image${sharedImages > 1 ? 's' : ''}`);
+  }
+
+  const here = geoCoordinates(property);
+  const there = geoCoordinates(candidate);
+  if (here && there) {
+    const meters = distanceKm(here, there) * 1000;
+    if (meters <= 25) {
+      score += 30;
+      reasons.push('same coordinates');
+    } else if (meters <= NEARBY_KM * 1000) {
+      score += 15;
+      reasons.push(`${Math.round(meters)} m apart`);
+    }
+  }
+
+  const similarity = titleSimilarity(property.title, candidate.title);
+  if (similarity >= 0.9) {
+    score += 25;
+    reasons.push('near-identical title');
+  } else if (similarity >= 0.75) {
+    score += 15;
+    reasons.push('similar title');
+  }
+
+  // The same owner posting twice is the most common case
+  if (score > 0 && property.owner && candidate.owner &&
+    String(property.owner._id || property.owner) === String(candidate.owner._id || candidate.owner)) {
+    score += 10;
+    reasons.push('same owner');
+  }
+
+  return { score: Math.min(score, 100), reasons };
+};
+
+const CANDIDATE_FIELDS = 'title owner images location govDetails approvalStatus status createdAt';
+
+// Listings that are likely the same plot as `property`, best match first.
+// Matching land records and shared photos are enough on their own, so those
+// candidates are fetched first; nearby listings fill the rest, closest first.
+// A title or village match alone never reaches the threshold and only adds
+// to the score of these candidates.
+const findLikelyDuplicates = async (property) => {
+  const keys = recordKeys(property);
+  const imageUrls = (property.images || []).map(image => image.url).filter(Boolean);
+  const here = geoCoordinates(property);
+
+  const strong = [];
+  if (keys.length > 0) strong.push({ recordKeys: { $in: keys } });
+  if (imageUrls.length > 0) strong.push({ 'images.url': { $in: imageUrls } });
+
+  const candidates = strong.length > 0
+    ? await Property.find({
+      _id: { $ne: property._id },
+      approvalStatus: { $ne: 'rejected' },
+      $or: strong
+    })
+      .select(CANDIDATE_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean()
+    : [];
+
+  if (here && candidates.length < MAX_CANDIDATES) {
+    const nearby = await Property.find({
+      _id: { $nin: [property._id, ...candidates.map(candidate => candidate._id)] },
+      approvalStatus: { $ne: 'rejected' },
+      'location.geo': {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: here },
+          $maxDistance: NEARBY_KM * 1000
+        }
+      }
+    })
+      .select(CANDIDATE_FIELDS)
+      .limit(MAX_CANDIDATES - candidates.length)
+      .lean();
+    candidates.push(...nearby);
+  }
+
+  return candidates
+    .map(candidate => ({ candidate, ...scoreCandidate(property, candidate) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .map(({ candidate, score, reasons }) => ({
+      property: candidate._id,
+      title: candidate.title,
+      approvalStatus: candidate.approvalStatus,
+      owner: candidate.owner,
+      score,
+      reasons
+    }));
+};
+
+// Photos of `property` that also appear on listings of other owners, closest first
+const findImageConflicts = async (property) => {
+  const images = (property.images || []).filter(image => image.hash);
+  const owner = property.owner && (property.owner._id || property.owner);
+  if (images.length === 0 || !owner) return [];
+
+  const bands = [...new Set(images.flatMap(image => hashBandNeighbours(image.hash)))];
+  const candidates = await Property.find({
+    _id: { $ne: property._id },
+    owner: { $ne: owner },
+    'images.hashBands': { $in: bands }
+  })
+    .select('title owner approvalStatus images')
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const conflicts = [];
+  candidates.forEach(candidate => {
+    candidate.images.filter(other => other.hash).forEach(other => {
+      images.forEach(image => {
+        const distance = hammingDistance(image.hash, other.hash);
+        if (distance > MAX_IMAGE_DISTANCE) return;
+
+        conflicts.push({
+          image: image._id,
+          imageUrl: image.url,
+          property: candidate._id,
+          title: candidate.title,
+          approvalStatus: candidate.approvalStatus,
+          owner: candidate.owner,
+          matchedImage: other._id,
+          matchedImageUrl: other.url,
+          link: `/api/properties/${candidate._id}`,
+          distance
+        });
+      });
+    });
+  });
+
+  return conflicts.sort((a, b) => a.distance - b.distance);
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  titleSimilarity,
+  scoreCandidate,
+  findLikelyDuplicates,
+  findImageConflicts
+};
@@ -0,0 +1,106 @@
+const FavoriteCollection = require('../models/FavoriteCollection');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const sendEmail = require('./sendEmail');
+const frontendUrl = require('./frontendUrl');
+
+// Fields compared to find out what happened to a listing
+const snapshotListing = (property) => ({
+  price: property.price,
+  status: property.status,
+  isPublished: property.isPublished
+});
+
+const formatPrice = (price) => `Rs. ${Number(price).toLocaleString('en-IN')}`;
+
+// The one change worth telling watchers about, most important first, or null.
+// `preference` is the User.notificationPreferences switch that controls it.
+const describeChange = (before, property) => {
+  const { title } = property;
+
+  if (['sold', 'rented'].includes(property.status) && property.status !== before.status) {
+    return {
+      type: 'closed',
+      preference: 'closed',
+      title: `"${title}" has been ${property.status}`,
+      message: `The property "${title}" you saved has been ${property.status}.`
+    };
+  }
+
+  if (before.isPublished && !property.isPublished) {
+    return {
+      type: 'unpublished',
+      preference: 'unpublished',
+      title: `"${title}" is no longer listed`,
+      message: `The property "${title}" you saved has been taken off the listings.`
+    };
+  }
+
+  if (property.isPublished && property.price < before.price) {
+    return {
+      type: 'price-drop',
+      preference: 'priceDrop',
+      title: `Price drop on "${title}"`,
+      message: `The price of "${title}" dropped from ${formatPrice(before.price)} to ${formatPrice(property.price)}.`,
+      oldPrice: before.price,
+      newPrice: property.price
+    };
+  }
+
+  return null;
+};
+
+// Tell every user who saved the property what changed since `before` (a
+// snapshotListing taken before the edit), in the app and by email as each
+// user's preferences allow. Returns the number of users notified.
+const notifyFavoriteWatchers = async (before, property) => {
+  const change = describeChange(before, property);
+  if (!change) return 0;
+
+  const watcherIds = await FavoriteCollection.distinct('user', { 'items.property': property._id });
+  const watchers = await User.find({
+    _id: { $in: watcherIds, $ne: property.owner },
+    isActive: true
+  }).select('name email notificationPreferences');
+
+  let notified = 0;
+  for (const user of watchers) {
+    const preferences = user.notificationPreferences;
+    if (!preferences[change.preference] || (!preferences.inApp && !preferences.email)) continue;
+
+    if (preferences.inApp) {
+      await Notification.create({
+        user: user._id,
+        type: change.type,
+        property: property._id,
+        title: change.title,
+        message: change.message,
+        oldPrice: change.oldPrice,
+        newPrice: change.newPrice
+      });
+    }
+
+    if (preferences.email && user.email) {
+      try {
+        await sendEmail({
+          email: user.email,
+          subject: change.title,
+          message:
+            `Hello ${user.name},\n\n${change.message}\n\n${frontendUrl.propertyUrl(property._id)}\n\n` +
+            'You are receiving this because you saved this property. ' +
+            'You can change which updates you get in your notification settings.'
+        });
+      } catch (error) {
+        console.error(`Favorite update email to ${user.email} failed:`, error.message);
+      }
+    }
+
+    notified++;
+  }
+  return notified;
+};
+
+module.exports = {
+  snapshotListing,
+  notifyFavoriteWatchers
+};
@@ -0,0 +1,13 @@
+// Absolute link into the frontend. FRONTEND_URL may list several origins
+// (see CORS setup in server.js); links in emails use the first one.
+const frontendUrl = (path = '') => {
+  const base = (process.env.FRONTEND_URL || '').split(',')[0].trim().replace(/\/+$/, '');
+  return `${base}${path}`;
+};
+
+// Link to a listing's page on the frontend (FRONTEND_PROPERTY_PATH is followed by the id)
+const propertyUrl = (id) =>
+  frontendUrl(`${process.env.FRONTEND_PROPERTY_PATH || '/property-details.html?id='}${id}`);
+
+module.exports = frontendUrl;
+module.exports.propertyUrl = propertyUrl;
@@ -0,0 +1,108 @@
+// Helpers for turning map query parameters into MongoDB geospatial queries.
+// GeoJSON always stores coordinates as [longitude, latitude].
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const isValidLatLng = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) &&
+  lat >= -90 && lat <= 90 &&
+  lng >= -180 && lng <= 180;
+
+// Build a GeoJSON point from latitude/longitude, or null when the pair is
+// missing, invalid or left at the 0,0 default used by the property form.
+const toGeoPoint = (latitude, longitude) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+
+  if (!isValidLatLng(lat, lng) || (lat === 0 && lng === 0)) {
+    return null;
+  }
+
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+// Parse "lat,lng" (e.g. near=22.5645,72.9289) into [lng, lat]
+const parseNear = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',').map(part => parseFloat(part.trim()));
+  if (parts.length !== 2 || !isValidLatLng(parts[0], parts[1])) return null;
+
+  return [parts[1], parts[0]];
+};
+
+// Parse "minLng,minLat,maxLng,maxLat" into a closed GeoJSON polygon
+const parseBbox = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',').map(part => parseFloat(part.trim()));
+  if (parts.length !== 4) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (!isValidLatLng(minLat, minLng) || !isValidLatLng(maxLat, maxLng)) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLng, minLat],
+      [maxLng, minLat],
+      [maxLng, maxLat],
+      [minLng, maxLat],
+      [minLng, minLat]
+    ]]
+  };
+};
+
+// Parse a JSON array of [lng, lat] pairs into a closed GeoJSON polygon
+const parsePolygon = (value) => {
+  let points;
+  try {
+    points = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (e) {
+    return null;
+  }
+
+  if (!Array.isArray(points)) return null;
+
+  const ring = [];
+  for (const point of points) {
+    if (!Array.isArray(point) || point.length !== 2) return null;
+    const lng = parseFloat(point[0]);
+    const lat = parseFloat(point[1]);
+    if (!isValidLatLng(lat, lng)) return null;
+    ring.push([lng, lat]);
+  }
+
+  // Close the ring if the client did not repeat the first vertex
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    ring.push([first[0], first[1]]);
+  }
+
+  // A closed ring needs at least three distinct vertices
+  if (ring.length < 4) return null;
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+// Great-circle distance in kilometres between two [lng, lat] pairs
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toGeoPoint,
+  parseNear,
+  parseBbox,
+  parsePolygon,
+  distanceKm
+};
@@ -0,0 +1,159 @@
+const sharp = require('sharp');
+const imageConfig = require('../config/images');
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+// Text watermark in the bottom right corner, as an SVG the size of the image
+const textWatermark = (width, height) => {
+  const { text, opacity, scale } = imageConfig.watermark;
+  const fontSize = Math.max(12, Math.round((width * scale) / Math.max(text.length * 0.6, 1)));
+  const margin = Math.round(fontSize * 0.6);
+
+  return Buffer.from(
+    `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">` +
+    `<text x="${width - margin}" y="${height - margin}" text-anchor="end" ` +
+    `font-family="sans-serif" font-weight="bold" font-size="${fontSize}" ` +
+    `fill="#ffffff" fill-opacity="${opacity}" stroke="#000000" stroke-opacity="${opacity / 2}" ` +
+    `stroke-width="${Math.max(1, Math.round(fontSize / 30))}">${escapeXml(text)}</text></svg>`
+  );
+};
+
+// Logo watermark scaled to the image and faded to the configured opacity
+const imageWatermark = async (width) => {
+  const { imagePath, opacity, scale } = imageConfig.watermark;
+
+  return sharp(imagePath)
+    .resize({ width: Math.round(width * scale) })
+    .ensureAlpha()
+    .composite([{
+      input: Buffer.from([255, 255, 255, Math.round(255 * opacity)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in'
+    }])
+    .png()
+    .toBuffer();
+};
+
+const watermarkLayer = async (width, height) => {
+  if (imageConfig.watermark.imagePath) {
+    return { input: await imageWatermark(width), gravity: 'southeast' };
+  }
+  return { input: textWatermark(width, height), top: 0, left: 0 };
+};
+
+const HASH_SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+
+// Cosine table for the DCT of a HASH_SAMPLE_SIZE signal
+const DCT_COSINES = Array.from({ length: HASH_SIZE }, (_, k) =>
+  Array.from({ length: HASH_SAMPLE_SIZE }, (__, n) =>
+    Math.cos((Math.PI / HASH_SAMPLE_SIZE) * (n + 0.5) * k)));
+
+// 64-bit perceptual hash (pHash) as 16 hex characters: the low frequencies
+// of a 32x32 grayscale DCT compared to their median. Resized, recompressed
+// or watermarked copies of a photo hash within a few bits of each other.
+const perceptualHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(HASH_SAMPLE_SIZE, HASH_SAMPLE_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // Separable 2D DCT, keeping only the HASH_SIZE x HASH_SIZE lowest frequencies
+  const rows = [];
+  for (let y = 0; y < HASH_SAMPLE_SIZE; y++) {
+    rows.push(DCT_COSINES.map(cosines => cosines.reduce(
+      (sum, cos, x) => sum + pixels[y * HASH_SAMPLE_SIZE + x] * cos, 0)));
+  }
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      coefficients.push(DCT_COSINES[v].reduce((sum, cos, y) => sum + rows[y][u] * cos, 0));
+    }
+  }
+
+  // The DC term only reflects overall brightness
+  const median = [...coefficients.slice(1)].sort((a, b) => a - b)[Math.floor((coefficients.length - 1) / 2)];
+
+  let hash = '';
+  for (let i = 0; i < coefficients.length; i += 8) {
+    let byte = 0;
+    for (let bit = 0; bit < 8; bit++) {
+      byte = (byte << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+};
+
+// Quarters of a hash, indexed so near matches can be looked up
+const hashBands = (hash) => (typeof hash === 'string' && /^[0-9a-f]{16}$/.test(hash)
+  ? [0, 1, 2, 3].map(band => `${band}:${hash.slice(band * 4, band * 4 + 4)}`)
+  : []);
+
+// Bands to look up to find every hash within 7 bits of `hash`: such a hash
+// differs in at most one bit in at least one of the four bands
+const hashBandNeighbours = (hash) => hashBands(hash).flatMap(band => {
+  const [index, value] = band.split(':');
+  const bits = parseInt(value, 16);
+  const flipped = Array.from({ length: 16 }, (_, bit) =>
+    `${index}:${(bits ^ (1 << bit)).toString(16).padStart(4, '0')}`);
+  return [band, ...flipped];
+});
+
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+};
+
+// Re-encode an uploaded image into every rendition. Orientation is applied
+// and all metadata (EXIF GPS position, camera details) is dropped. The
+// perceptual hash is taken from the original, before the watermark.
+const processListingImage = async (buffer) => {
+  const source = sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .flatten({ background: '#ffffff' });
+
+  const renditions = {};
+
+  for (const [name, size] of Object.entries(imageConfig.renditions)) {
+    const resized = await source.clone()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = resized.info;
+    let image = sharp(resized.data);
+
+    if (imageConfig.watermark.enabled && width >= imageConfig.watermark.minWidth) {
+      image = image.composite([await watermarkLayer(width, height)]);
+    }
+
+    renditions[name] = {
+      buffer: await image.jpeg({ quality: imageConfig.quality, mozjpeg: true }).toBuffer(),
+      width,
+      height
+    };
+  }
+
+  return {
+    renditions,
+    hash: await perceptualHash(buffer)
+  };
+};
+
+module.exports = {
+  perceptualHash,
+  hashBands,
+  hashBandNeighbours,
+  hammingDistance,
+  processListingImage
+};
@@ -0,0 +1,42 @@
+const { toAsciiDigits } = require('./area');
+
+// "Survey No.", "S. No.", "Khaata No." and similar labels in front of a number
+const RECORD_LABEL = /^(?:(?:survey|sy|sr|s|khaata|khata|khatha)(?![a-z])\.?\s*)?(?:(?:no|number)(?![a-z])\.?\s*)?[:#]?\s*/;
+
+// Canonical form of a survey or khaata number, so "Survey No. 12 / 1",
+// "12-1" and "૧૨/૧" all read "12/1". Separators are unified rather than
+// dropped: "12-1" and "121" are different plots.
+const normalizeRecordNumber = (value) => {
+  if (typeof value !== 'string') return '';
+
+  return toAsciiDigits(value)
+    .toLowerCase()
+    .trim()
+    .replace(RECORD_LABEL, '')
+    .replace(/\s*[./\\–-]+\s*/g, '/')
+    .replace(/(\d)\s+(?=\d)/g, '$1/')
+    .replace(/\s+/g, '')
+    .replace(/^\/+|\/+$/g, '');
+};
+
+const normalizeText = (value) =>
+  typeof value === 'string' ? value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim() : '';
+
+// Lookup keys of a listing's land records. Survey and khaata numbers are only
+// unique within a village, so each key carries the village as well.
+const recordKeys = (property) => {
+  const village = normalizeText(property.location && property.location.village);
+  const gov = property.govDetails || {};
+  if (!village) return [];
+
+  return [['survey', gov.surveyNumber], ['khaata', gov.khaataNumber]]
+    .map(([kind, value]) => [kind, normalizeRecordNumber(value)])
+    .filter(([, number]) => number)
+    .map(([kind, number]) => `${kind}:${village}:${number}`);
+};
+
+module.exports = {
+  normalizeRecordNumber,
+  normalizeText,
+  recordKeys
+};
@@ -0,0 +1,168 @@
+const ExcelJS = require('exceljs');
+const Property = require('../models/Property');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8' }
+};
+
+// Requested export format, csv when none is given; null when unsupported
+const exportFormat = (value) => {
+  const format = String(value || 'csv').toLowerCase();
+  return Object.keys(EXPORT_FORMATS).includes(format) ? format : null;
+};
+
+const get = (source, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// One column per exported value; nested location, govDetails and contactInfo
+// fields are flattened into dotted column names
+const EXPORT_COLUMNS = [
+  '_id',
+  'title',
+  'type',
+  'status',
+  'price',
+  'approvalStatus',
+  'isPublished',
+  'insertedBy',
+  'totalArea',
+  'areaUnit',
+  'areaSqm',
+  'location.address',
+  'location.village',
+  'location.taluka',
+  'location.district',
+  'location.city',
+  'location.state',
+  'location.zipCode',
+  'location.country',
+  'location.coordinates.latitude',
+  'location.coordinates.longitude',
+  'govDetails.surveyNumber',
+  'govDetails.khaataNumber',
+  'govDetails.area',
+  'contactInfo.name',
+  'contactInfo.email',
+  'contactInfo.phone',
+  'contactInfo.whatsappNumber',
+  'contactInfo.preferredContact',
+  'landInfo.fencing',
+  'landInfo.borewell',
+  'landInfo.houseOnLand',
+  'landInfo.electricity',
+  'landInfo.expectedPricePerUnit',
+  'landInfo.paymentTerms',
+  'landInfo.legacyLand',
+  'amenities',
+  'disadvantages',
+  'owner',
+  'agent',
+  'views',
+  'expiresAt',
+  'createdAt',
+  'updatedAt'
+].map(path => ({
+  header: path === '_id' ? 'id' : path,
+  path,
+  value: (property) => {
+    const value = get(property, path);
+    if (Array.isArray(value)) return value.join('; ');
+    if (value && typeof value === 'object' && !(value instanceof Date)) return String(value);
+    return value;
+  }
+}));
+
+const EXPORT_SELECT = [...new Set(EXPORT_COLUMNS.map(column => column.path.split('.')[0]))].join(' ');
+
+const flattenProperty = (property) => {
+  const row = {};
+  EXPORT_COLUMNS.forEach(column => {
+    const value = column.value(property);
+    row[column.header] = value === undefined ? null : value;
+  });
+  return row;
+};
+
+// Quote cells that need it and keep spreadsheet apps from running text as a formula
+const csvCell = (value) => {
+  if (value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Only text that is a plain number in full (a phone such as +919876543210) is left as is
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves once the response can take more data or the client has gone away
+const writable = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const writeLines = async (res, cursor, toLine) => {
+  for await (const property of cursor) {
+    if (res.destroyed) break;
+    if (!res.write(toLine(flattenProperty(property)))) await writable(res);
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, cursor) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Properties');
+  sheet.columns = EXPORT_COLUMNS.map(column => ({ header: column.header, key: column.header, width: 18 }));
+
+  for await (const property of cursor) {
+    if (res.destroyed) break;
+    sheet.addRow(flattenProperty(property)).commit();
+    // Committed rows are compressed asynchronously on their way into the
+    // response; let that catch up, and stop reading from the cursor while the
+    // response is full
+    await new Promise(resolve => setImmediate(resolve));
+    if (res.writableNeedDrain) await writable(res);
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Stream every property matching `filter` to the response as CSV, XLSX or
+// NDJSON, one document at a time from a cursor
+const streamPropertyExport = async (res, { filter, format, filename }) => {
+  const cursor = Property.find(filter)
+    .sort({ createdAt: -1 })
+    .select(EXPORT_SELECT)
+    .lean()
+    .cursor();
+
+  res.status(200);
+  res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+  res.set('Cache-Control', 'private, no-store');
+
+  try {
+    if (format === 'xlsx') {
+      await writeXlsx(res, cursor);
+    } else if (format === 'csv') {
+      // The byte order mark makes Excel read Gujarati text as UTF-8
+      res.write('\ufeff' + EXPORT_COLUMNS.map(column => csvCell(column.header)).join(',') + '\n');
+      await writeLines(res, cursor, row => Object.values(row).map(csvCell).join(',') + '\n');
+    } else {
+      await writeLines(res, cursor, row => JSON.stringify(row) + '\n');
+    }
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFormat,
+  csvCell,
+  streamPropertyExport
+};
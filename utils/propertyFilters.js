@@ -0,0 +1,191 @@
+// Listing search filters shared by GET /api/properties and saved searches
+const { parseNear, parseBbox, parsePolygon } = require('./geo');
+const { AREA_UNITS, normalizeAreaUnit, toSquareMetres } = require('./area');
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 500;
+
+// Query parameters of GET /api/properties that narrow the results
+const LISTING_FILTER_PARAMS = [
+  'minPrice',
+  'maxPrice',
+  'type',
+  'propertyType',
+  'status',
+  'city',
+  'district',
+  'village',
+  'bedrooms',
+  'bathrooms',
+  'minArea',
+  'maxArea',
+  'areaUnit',
+  'priceDropped',
+  'hasFencing',
+  'hasBorewell',
+  'hasHouse',
+  'legacyLand',
+  'electricity',
+  'hasElectricity',
+  'minPricePerUnit',
+  'maxPricePerUnit',
+  'bbox',
+  'polygon',
+  'near',
+  'radiusKm'
+];
+
+const ELECTRICITY_ALIASES = {
+  no: 'none',
+  none: 'none',
+  yes: 'available',
+  available: 'available',
+  single: 'single-phase',
+  '1-phase': 'single-phase',
+  'single-phase': 'single-phase',
+  three: '3-phase',
+  'three-phase': '3-phase',
+  '3-phase': '3-phase'
+};
+
+// Map free-form electricity values ("3 phase", "Single Phase") onto the schema enum.
+// Unknown values are returned untouched so schema validation can reject them.
+const normalizeElectricity = (value) => {
+  const key = String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return ELECTRICITY_ALIASES[key] || value;
+};
+
+// Area bound of a search in square metres, or null when it isn't a non-negative number
+const parseAreaBound = (value, unit) => {
+  const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+  return Number.isFinite(amount) && amount >= 0 ? toSquareMetres(amount, unit) : null;
+};
+
+const parseBooleanQuery = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+// MongoDB filter of publicly visible listings matching the search parameters.
+// Returns { filter, near, radiusKm } where `near` ([lng, lat]) asks for a
+// radius search, or { error } when a parameter cannot be read.
+const buildListingFilter = (query) => {
+  // Build filter object: show publicly visible properties
+  // Return properties that are published OR have been approved.
+  // This allows approved items to appear even if isPublished wasn't toggled yet.
+  const filter = { $or: [{ isPublished: true }, { approvalStatus: 'approved' }] };
+
+  // Expired listings stay hidden until the owner renews them
+  filter.expiresAt = { $not: { $lte: new Date() } };
+
+  // Closed listings only stay visible when the owner chose to keep them listed
+  filter.$nor = [{ status: { $in: ['sold', 'rented'] }, 'closing.keepListed': { $ne: true } }];
+
+  if (query.minPrice || query.maxPrice) {
+    filter.price = {};
+    if (query.minPrice) filter.price.$gte = parseFloat(query.minPrice);
+    if (query.maxPrice) filter.price.$lte = parseFloat(query.maxPrice);
+  }
+
+  if (query.type || query.propertyType) filter.type = query.type || query.propertyType;
+  if (query.status) filter.status = query.status;
+  if (query.city) filter['location.city'] = new RegExp(query.city, 'i');
+  if (query.district) filter['location.district'] = new RegExp(query.district, 'i');
+  if (query.village) filter['location.village'] = new RegExp(query.village, 'i');
+  if (query.bedrooms) filter['specifications.bedrooms'] = parseInt(query.bedrooms);
+  if (query.bathrooms) filter['specifications.bathrooms'] = parseInt(query.bathrooms);
+
+  // Area filters are given in any unit and compared on the normalised square metres
+  const areaUnit = normalizeAreaUnit(query.areaUnit || 'sqft');
+  if (!areaUnit) {
+    return { error: `areaUnit must be one of ${AREA_UNITS.join(', ')}` };
+  }
+  if (query.minArea || query.maxArea) {
+    filter.areaSqm = {};
+    for (const [param, operator] of [['minArea', '$gte'], ['maxArea', '$lte']]) {
+      if (!query[param]) continue;
+      const sqm = parseAreaBound(query[param], areaUnit);
+      if (sqm === null) {
+        return { error: `${param} must be a non-negative number` };
+      }
+      filter.areaSqm[operator] = sqm;
+    }
+  }
+
+  // Recently reduced listings
+  if (query.priceDropped === 'true') {
+    filter['priceReduction.amount'] = { $gt: 0 };
+  }
+
+  // Land detail filters
+  const landFlags = {
+    hasFencing: 'landInfo.fencing',
+    hasBorewell: 'landInfo.borewell',
+    hasHouse: 'landInfo.houseOnLand',
+    legacyLand: 'landInfo.legacyLand'
+  };
+  Object.entries(landFlags).forEach(([param, path]) => {
+    const value = parseBooleanQuery(query[param]);
+    if (value !== undefined) filter[path] = value ? true : { $ne: true };
+  });
+
+  if (query.electricity) {
+    filter['landInfo.electricity'] = normalizeElectricity(query.electricity);
+  } else if (parseBooleanQuery(query.hasElectricity) !== undefined) {
+    const powered = ['available', 'single-phase', '3-phase'];
+    filter['landInfo.electricity'] = parseBooleanQuery(query.hasElectricity)
+      ? { $in: powered }
+      : { $nin: powered };
+  }
+
+  if (query.minPricePerUnit || query.maxPricePerUnit) {
+    filter['landInfo.expectedPricePerUnit'] = {};
+    if (query.minPricePerUnit) filter['landInfo.expectedPricePerUnit'].$gte = parseFloat(query.minPricePerUnit);
+    if (query.maxPricePerUnit) filter['landInfo.expectedPricePerUnit'].$lte = parseFloat(query.maxPricePerUnit);
+  }
+
+  // Geospatial filters: map viewport (bbox) or drawn area (polygon)
+  if (query.bbox && query.polygon) {
+    return { error: 'Use either bbox or polygon, not both' };
+  }
+
+  if (query.bbox || query.polygon) {
+    const geometry = query.bbox ? parseBbox(query.bbox) : parsePolygon(query.polygon);
+    if (!geometry) {
+      return {
+        error: query.bbox
+          ? 'bbox must be minLng,minLat,maxLng,maxLat'
+          : 'polygon must be a JSON array of at least three [lng, lat] points'
+      };
+    }
+    filter['location.geo'] = { $geoWithin: { $geometry: geometry } };
+  }
+
+  // Radius search around a point
+  let near = null;
+  let radiusKm = DEFAULT_RADIUS_KM;
+  if (query.near) {
+    near = parseNear(query.near);
+    if (!near) {
+      return { error: 'near must be latitude,longitude' };
+    }
+    if (query.radiusKm !== undefined) {
+      radiusKm = parseFloat(query.radiusKm);
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        return { error: `radiusKm must be between 0 and ${MAX_RADIUS_KM}` };
+      }
+    }
+  }
+
+  return { filter, near, radiusKm };
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  LISTING_FILTER_PARAMS,
+  normalizeElectricity,
+  parseBooleanQuery,
+  buildListingFilter
+};
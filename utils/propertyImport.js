@@ -0,0 +1,105 @@
+// Column template for the bulk property import (POST /api/properties/import).
+// Column names are the property form fields, so each row is turned into the
+// same flat form body that POST /api/properties accepts.
+
+const IMPORT_COLUMNS = [
+  { name: 'title', required: true, example: 'Agricultural land near Sanand', description: 'Listing title, up to 100 characters' },
+  { name: 'description', example: 'Fertile land with canal access', description: 'Up to 2000 characters' },
+  { name: 'price', required: true, example: '2500000', description: 'Asking price in rupees; commas are ignored' },
+  { name: 'status', required: true, example: 'for-sale', description: 'for-sale or for-rent' },
+  { name: 'type', required: true, example: 'land', description: 'apartment, house, commercial, industrial or land' },
+  { name: 'totalArea', required: true, example: '2', description: 'Area in areaUnit' },
+  { name: 'areaUnit', example: 'vigha', description: 'sqft (default), sqm, sqyd, guntha, vigha, acre or hectare' },
+  { name: 'address', example: 'Near Gram Panchayat', description: 'Street address' },
+  { name: 'city', example: 'Sanand', description: 'Defaults to the taluka or district' },
+  { name: 'state', required: true, example: 'Gujarat', description: 'State' },
+  { name: 'district', example: 'Ahmedabad', description: 'District' },
+  { name: 'taluka', example: 'Sanand', description: 'Taluka' },
+  { name: 'village', example: 'Moraiya', description: 'Village' },
+  { name: 'pincode', example: '382213', description: 'PIN code' },
+  { name: 'latitude', example: '22.9', description: 'Decimal degrees' },
+  { name: 'longitude', example: '72.4', description: 'Decimal degrees' },
+  { name: 'contactName', example: 'Ramesh Patel', description: 'Contact person; defaults to your account' },
+  { name: 'contactEmail', example: 'ramesh@example.com', description: 'Contact email; defaults to your account' },
+  { name: 'contactPhone', example: '9876543210', description: 'Contact phone; defaults to your account' },
+  { name: 'surveyNumber', example: '12/1', description: 'Survey number of the 7/12 record' },
+  { name: 'khaataNumber', example: '345', description: 'Khaata number' },
+  { name: 'govArea', example: '0-64-75', description: 'Area as on the 7/12 record (hectare-are-sq.m.)' },
+  { name: 'amenities', list: true, example: 'Road access, Canal', description: 'Comma separated' },
+  { name: 'disadvantages', list: true, example: 'No electricity', description: 'Comma separated' },
+  { name: 'fencing', boolean: true, example: 'yes', description: 'yes or no (land only)' },
+  { name: 'borewell', boolean: true, example: 'no', description: 'yes or no (land only)' },
+  { name: 'houseOnLand', boolean: true, example: 'no', description: 'yes or no (land only)' },
+  { name: 'electricity', example: 'single-phase', description: 'none, available, single-phase or 3-phase (land only)' },
+  { name: 'expectedPricePerUnit', example: '1250000', description: 'Price per areaUnit (land only)' },
+  { name: 'paymentTerms', example: '25% advance', description: 'Up to 500 characters (land only)' },
+  { name: 'legacyLand', boolean: true, example: 'no', description: 'yes or no (land only)' },
+  { name: 'insertedBy', example: 'Broker', description: 'Owner (default) or Broker' }
+];
+
+const NUMBER_COLUMNS = ['price', 'totalArea', 'expectedPricePerUnit'];
+
+// "Contact Name", "contact_name" and "contactName" all name the same column
+const columnKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const COLUMNS_BY_KEY = new Map(IMPORT_COLUMNS.map(column => [columnKey(column.name), column]));
+
+// Map the header cells of an uploaded sheet onto template columns
+const matchImportColumns = (header) => {
+  const columns = {};
+  const ignored = [];
+
+  header.filter(Boolean).forEach(name => {
+    const column = COLUMNS_BY_KEY.get(columnKey(name));
+    if (column && !Object.values(columns).includes(column.name)) {
+      columns[name] = column.name;
+    } else {
+      ignored.push(name);
+    }
+  });
+
+  const present = Object.values(columns);
+  const missing = IMPORT_COLUMNS
+    .filter(column => column.required && !present.includes(column.name))
+    .map(column => column.name);
+
+  return { columns, ignored, missing };
+};
+
+// Flat property form body for one sheet row; blank cells are left out
+const rowToPropertyForm = (values, columns) => {
+  const form = {};
+
+  Object.entries(columns).forEach(([header, name]) => {
+    const value = values[header];
+    if (!value) return;
+
+    const column = COLUMNS_BY_KEY.get(columnKey(name));
+    if (column.list) {
+      form[name] = value.split(/[,;]/).map(item => item.trim()).filter(Boolean);
+    } else if (column.boolean) {
+      form[name] = value.toLowerCase();
+    } else if (NUMBER_COLUMNS.includes(name)) {
+      form[name] = value.replace(/[,\s₹]/g, '');
+    } else {
+      form[name] = value;
+    }
+  });
+
+  return form;
+};
+
+const csvCell = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// Header row plus one example row
+const importTemplateCsv = () => [
+  IMPORT_COLUMNS.map(column => column.name),
+  IMPORT_COLUMNS.map(column => column.example)
+].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+
+module.exports = {
+  IMPORT_COLUMNS,
+  matchImportColumns,
+  rowToPropertyForm,
+  importTemplateCsv
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const Property = require('../models/Property');
+const PropertyView = require('../models/PropertyView');
+const Agent = require('../models/Agent');
+const { propertyViews } = require('../config/propertyViews');
+
+// User agents of crawlers, link previews, monitoring and scripted clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|facebookexternalhit|whatsapp|preview|headless|lighthouse|pingdom|uptime|curl|wget|python|java\/|go-http-client|okhttp|axios|node-fetch|postman/i;
+
+// Requests without a user agent are treated as bots too
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+// Stable id of an anonymous viewer that doesn't store their IP address
+const viewerFingerprint = (ip, userAgent) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || 'locatex')
+  .update(`${ip}|${userAgent}`)
+  .digest('hex')
+  .slice(0, 32);
+
+// Owners, assigned agents and admins looking at a listing don't count as views
+const isStaffView = async (property, user) => {
+  if (!user) return false;
+  if (user.role === 'admin' || property.owner.toString() === user.id) return true;
+  return !!(user.role === 'agent' && property.agent &&
+    await Agent.exists({ _id: property.agent, user: user.id }));
+};
+
+// Record a view of `property` (needs owner and agent) by the client of `req`.
+// Bots are ignored. Each viewer adds at most one view per dedup window: the
+// counted event is upserted on a key of listing, viewer and window, so
+// concurrent reloads can't both count. Repeat views only move the event's
+// `lastViewedAt`. Views by staff are never counted and only touch (or add)
+// their latest event in the window.
+// Returns whether the view was counted.
+const recordPropertyView = async (property, req) => {
+  const userAgent = req.get('user-agent');
+  if (isBot(userAgent)) return false;
+
+  const viewer = req.user
+    ? { user: req.user._id }
+    : { fingerprint: viewerFingerprint(req.ip, userAgent) };
+  const now = new Date();
+  const windowMs = propertyViews.dedupWindowMinutes * 60 * 1000;
+
+  if (await isStaffView(property, req.user)) {
+    await PropertyView.updateOne(
+      { property: property._id, ...viewer, viewedAt: { $gt: new Date(now.getTime() - windowMs) } },
+      { $set: { lastViewedAt: now }, $setOnInsert: { viewedAt: now, counted: false } },
+      { upsert: true }
+    );
+    return false;
+  }
+
+  const windowNumber = Math.floor(now.getTime() / windowMs);
+  const dedupKey = `${property._id}:${viewer.user || viewer.fingerprint}:${windowNumber}`;
+
+  let counted;
+  try {
+    const result = await PropertyView.updateOne(
+      { dedupKey },
+      {
+        $set: { lastViewedAt: now },
+        $setOnInsert: { property: property._id, ...viewer, viewedAt: now, counted: true }
+      },
+      { upsert: true }
+    );
+    counted = result.upsertedCount === 1;
+  } catch (error) {
+    // A concurrent request inserted the same key first and counted the view
+    if (error.code !== 11000) throw error;
+    counted = false;
+  }
+
+  if (counted) {
+    await Property.updateOne({ _id: property._id }, { $inc: { views: 1 } });
+  }
+  return counted;
+};
+
+module.exports = {
+  isBot,
+  recordPropertyView
+};
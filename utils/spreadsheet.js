@@ -0,0 +1,80 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+
+const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+const spreadsheetFormat = (filename) => {
+  const extension = path.extname(filename || '').slice(1).toLowerCase();
+  return SPREADSHEET_FORMATS.includes(extension) ? extension : null;
+};
+
+// Plain text of an ExcelJS cell value (formulas, rich text, links and dates)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return cellText(value.text);
+    return '';
+  }
+  return String(value);
+};
+
+const readCsv = (buffer) =>
+  parse(buffer, { bom: true, relax_column_count: true, skip_empty_lines: false })
+    .map(cells => cells.map(cell => cell.trim()));
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error('File is not a valid XLSX workbook');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      cells[column - 1] = cellText(cell.value).trim();
+    });
+    rows[rowNumber - 1] = Array.from(cells, cell => cell || '');
+  });
+  return Array.from(rows, cells => cells || []);
+};
+
+// Rows of the first sheet of a CSV or XLSX file as { rowNumber, values } where
+// values is keyed by the header cells. The header is row 1 and blank rows are
+// skipped, so rowNumber matches what the user sees in their spreadsheet.
+const readSpreadsheet = async (buffer, filename) => {
+  const format = spreadsheetFormat(filename);
+  if (!format) {
+    throw new Error(`Unsupported file type, expected one of ${SPREADSHEET_FORMATS.join(', ')}`);
+  }
+
+  const [header = [], ...lines] = format === 'csv' ? readCsv(buffer) : await readXlsx(buffer);
+
+  const rows = [];
+  lines.forEach((cells, index) => {
+    if (cells.every(cell => !cell)) return;
+
+    const values = {};
+    header.forEach((name, column) => {
+      if (name) values[name] = cells[column] || '';
+    });
+    rows.push({ rowNumber: index + 2, values });
+  });
+
+  return { header, rows };
+};
+
+module.exports = {
+  SPREADSHEET_FORMATS,
+  spreadsheetFormat,
+  readSpreadsheet
+};
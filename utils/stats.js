@@ -0,0 +1,58 @@
+// Small descriptive statistics helpers used by the pricing endpoints
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// Percentile (0-100) of an ascending sorted array using linear interpolation
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  if (sorted.length === 1) return sorted[0];
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const median = (values) => percentile([...values].sort((a, b) => a - b), 50);
+
+// Share of values (0-100) that are below the given value
+const percentileRank = (values, value) => {
+  if (values.length === 0) return null;
+  const below = values.filter(v => v < value).length;
+  const equal = values.filter(v => v === value).length;
+  return round(((below + equal / 2) / values.length) * 100, 1);
+};
+
+// count, min, max, mean and the usual percentiles of a list of numbers
+const summarize = (values) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+
+  if (sorted.length === 0) {
+    return { count: 0 };
+  }
+
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+
+  return {
+    count: sorted.length,
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+    mean: round(mean),
+    p10: round(percentile(sorted, 10)),
+    p25: round(percentile(sorted, 25)),
+    median: round(percentile(sorted, 50)),
+    p75: round(percentile(sorted, 75)),
+    p90: round(percentile(sorted, 90))
+  };
+};
+
+module.exports = {
+  round,
+  percentile,
+  median,
+  percentileRank,
+  summarize
+};
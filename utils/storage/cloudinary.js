@@ -0,0 +1,146 @@
+const cloudinary = require('../../config/cloudinary');
+
+// Files are identified by "<resource type>/<delivery type>/<public id>[.<format>]",
+// e.g. "image/upload/real-estate/images/abc.jpg" or
+// "raw/authenticated/real-estate/documents/deed.pdf"
+const KEY_PATTERN = /^(image|video|raw)\/(upload|authenticated|private)\/(.+)$/;
+
+const toKey = (resourceType, type, publicId, format) =>
+  `${resourceType}/${type}/${publicId}${resourceType !== 'raw' && format ? `.${format}` : ''}`;
+
+// Split a key or delivery URL path into the parts the Cloudinary API expects
+const parsePath = (resourceType, type, rest) => {
+  let segments = rest.split('?')[0].split('/');
+
+  // Drop transformations, signature and version in front of the public id
+  const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+  if (versionIndex !== -1) segments = segments.slice(versionIndex + 1);
+
+  let publicId = decodeURIComponent(segments.join('/'));
+  let format = '';
+  // Raw files keep their extension as part of the public id
+  if (resourceType !== 'raw') {
+    const match = publicId.match(/^(.+)\.([^./]+)$/);
+    if (match) [, publicId, format] = match;
+  }
+
+  return { resourceType, type, publicId, format };
+};
+
+const parseReference = (ref) => {
+  if (typeof ref !== 'string') return null;
+
+  const url = ref.match(/^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/(upload|authenticated|private)\/(.+)$/);
+  if (url) return parsePath(url[1], url[2], url[3]);
+
+  const key = ref.match(KEY_PATTERN);
+  return key ? parsePath(key[1], key[2], key[3]) : null;
+};
+
+const owns = (ref) => parseReference(ref) !== null;
+
+// Multer storage engine uploading to Cloudinary. Private files are stored as
+// authenticated assets and only reachable through signed links.
+const createEngine = (getParams) => ({
+  _handleFile(req, file, cb) {
+    Promise.resolve(getParams(req, file))
+      .then(params => {
+        const resourceType = file.mimetype.startsWith('image/') ? 'image' : 'raw';
+        const type = params.visibility === 'private' ? 'authenticated' : 'upload';
+
+        const upload = cloudinary.uploader.upload_stream({
+          folder: params.folder,
+          resource_type: resourceType,
+          type,
+          allowed_formats: params.allowedFormats,
+          ...(params.maxDimension && resourceType === 'image' && {
+            transformation: [{ width: params.maxDimension, height: params.maxDimension, crop: 'limit' }]
+          })
+        }, (error, result) => {
+          if (error) return cb(error);
+          cb(null, {
+            path: type === 'upload' ? result.secure_url : undefined,
+            key: toKey(resourceType, type, result.public_id, result.format),
+            filename: result.public_id,
+            size: result.bytes
+          });
+        });
+
+        file.stream.pipe(upload);
+      })
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    deleteFile(file.key).then(() => cb(null), cb);
+  }
+});
+
+// Store an in-memory file such as a processed image rendition
+const saveFile = (buffer, { folder, name, visibility, contentType }) => new Promise((resolve, reject) => {
+  const resourceType = contentType && contentType.startsWith('image/') ? 'image' : 'raw';
+  const type = visibility === 'private' ? 'authenticated' : 'upload';
+
+  cloudinary.uploader.upload_stream({
+    folder,
+    // Image public ids go without the extension, Cloudinary adds the format
+    public_id: resourceType === 'image' ? name.replace(/\.[^.]+$/, '') : name,
+    resource_type: resourceType,
+    type
+  }, (error, result) => {
+    if (error) return reject(error);
+    resolve({
+      path: type === 'upload' ? result.secure_url : undefined,
+      key: toKey(resourceType, type, result.public_id, result.format),
+      size: result.bytes
+    });
+  }).end(buffer);
+});
+
+const deleteFile = async (ref) => {
+  const asset = parseReference(ref);
+  if (!asset) return false;
+
+  const result = await cloudinary.uploader.destroy(asset.publicId, {
+    resource_type: asset.resourceType,
+    type: asset.type,
+    invalidate: true
+  });
+  return result.result === 'ok';
+};
+
+// Time limited download link for an authenticated asset
+const getSignedUrl = async (ref, { expiresIn }) => {
+  const asset = parseReference(ref);
+  if (!asset) return null;
+
+  return cloudinary.utils.private_download_url(asset.publicId, asset.format, {
+    resource_type: asset.resourceType,
+    type: asset.type,
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn
+  });
+};
+
+// Turn a public upload into an authenticated asset; returns its new key
+const makePrivate = async (ref) => {
+  const asset = parseReference(ref);
+  if (!asset) return null;
+  if (asset.type !== 'upload') return toKey(asset.resourceType, asset.type, asset.publicId, asset.format);
+
+  await cloudinary.uploader.rename(asset.publicId, asset.publicId, {
+    resource_type: asset.resourceType,
+    type: asset.type,
+    to_type: 'authenticated',
+    invalidate: true
+  });
+  return toKey(asset.resourceType, 'authenticated', asset.publicId, asset.format);
+};
+
+module.exports = {
+  owns,
+  createEngine,
+  saveFile,
+  deleteFile,
+  getSignedUrl,
+  makePrivate
+};
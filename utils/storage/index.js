@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const path = require('path');
+const storageConfig = require('../../config/storage');
+const { processListingImage } = require('../imageProcessing');
+const cloudinaryStorage = require('./cloudinary');
+const localStorage = require('./local');
+
+const adapters = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage
+};
+
+const adapter = adapters[storageConfig.driver];
+if (!adapter) {
+  throw new Error(`Unknown STORAGE_DRIVER "${storageConfig.driver}", expected one of ${Object.keys(adapters).join(', ')}`);
+}
+
+// Files uploaded before a driver switch still belong to their original adapter
+const adapterFor = (ref) => Object.values(adapters).find(candidate => candidate.owns(ref));
+
+// Re-encode an uploaded listing image and store every rendition. The file
+// gets the large rendition as `path`/`key`, all of them as `renditions` and
+// the perceptual `hash` of the photo.
+const storeListingImage = async (file, params) => {
+  const extension = path.extname(file.originalname).toLowerCase().slice(1);
+  if (params.allowedFormats && !params.allowedFormats.includes(extension)) {
+    throw new Error(`Only ${params.allowedFormats.join(', ')} files are allowed!`);
+  }
+
+  const buffer = await readStream(file.stream);
+  let processed;
+  try {
+    processed = await processListingImage(buffer);
+  } catch (error) {
+    throw new Error('Only valid image files are allowed!');
+  }
+
+  const baseName = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  const stored = {};
+  for (const [name, rendition] of Object.entries(processed.renditions)) {
+    stored[name] = await adapter.saveFile(rendition.buffer, {
+      folder: params.folder,
+      name: `${baseName}-${name}.jpg`,
+      visibility: params.visibility,
+      contentType: 'image/jpeg'
+    });
+  }
+
+  return {
+    path: stored.large.path,
+    key: stored.large.key,
+    size: Object.values(stored).reduce((sum, item) => sum + item.size, 0),
+    renditions: Object.fromEntries(Object.entries(stored).map(([name, item]) => [name, item.path || item.key])),
+    hash: processed.hash
+  };
+};
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('error', reject);
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+// Multer storage engine for the configured driver. `params` is an object or a
+// function of (req, file) giving { folder, allowedFormats, maxDimension, visibility, process }.
+// Uploaded files get `path` (public URL, public files only) and `key`; images
+// with `process` set are run through the listing image pipeline.
+const createStorageEngine = (params) => {
+  const getParams = typeof params === 'function' ? params : () => params;
+
+  return {
+    _handleFile(req, file, cb) {
+      Promise.resolve(getParams(req, file))
+        .then(resolved => {
+          if (resolved.process && file.mimetype.startsWith('image/')) {
+            return storeListingImage(file, resolved).then(info => cb(null, info));
+          }
+          adapter.createEngine(() => resolved)._handleFile(req, file, cb);
+        })
+        .catch(cb);
+    },
+
+    _removeFile(req, file, cb) {
+      const refs = file.renditions ? Object.values(file.renditions) : [file.key];
+      Promise.all(refs.map(ref => deleteStoredFile(ref))).then(() => cb(null), cb);
+    }
+  };
+};
+
+// Remove an uploaded file by URL or key. Returns false when the reference
+// isn't a stored file, so callers can still drop it.
+const deleteStoredFile = async (ref) => {
+  const owner = adapterFor(ref);
+  return owner ? owner.deleteFile(ref) : false;
+};
+
+// Short lived link to a stored file; public files get their plain URL
+const getSignedUrl = async (ref, { expiresIn = storageConfig.signedUrlSeconds } = {}) => {
+  const owner = adapterFor(ref);
+  return owner ? owner.getSignedUrl(ref, { expiresIn }) : null;
+};
+
+// Move a stored file out of public reach; returns its new key, or null when
+// the reference isn't a stored file
+const makeFilePrivate = async (ref) => {
+  const owner = adapterFor(ref);
+  return owner ? owner.makePrivate(ref) : null;
+};
+
+module.exports = {
+  driver: storageConfig.driver,
+  createStorageEngine,
+  deleteStoredFile,
+  getSignedUrl,
+  makeFilePrivate
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const storageConfig = require('../../config/storage');
+
+const { root, baseUrl, routePath } = storageConfig.local;
+const publicUrlPrefix = `${baseUrl}${routePath}/`;
+
+// Files are identified by their path below the upload root, starting with
+// "public/" or "private/", e.g. "public/real-estate/images/abc.jpg"
+const KEY_PATTERN = /^(public|private)\/[^?#]+$/;
+
+const toKey = (ref) => {
+  if (typeof ref !== 'string') return null;
+  const key = ref.startsWith(publicUrlPrefix) ? `public/${ref.slice(publicUrlPrefix.length)}` : ref;
+  return KEY_PATTERN.test(key) ? key : null;
+};
+
+// Absolute path of a key, or null if it points outside the upload root
+const resolveFilePath = (key) => {
+  const filePath = path.resolve(root, key);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+const owns = (ref) => toKey(ref) !== null;
+
+const publicUrl = (key) => `${publicUrlPrefix}${key.slice('public/'.length)}`;
+
+const sign = (key, expires) => crypto
+  .createHmac('sha256', storageConfig.signingSecret || '')
+  .update(`${key}:${expires}`)
+  .digest('base64url');
+
+// Multer storage engine writing to the local disk. Public files are served by
+// the static upload route; private files only through signed links.
+const createEngine = (getParams) => ({
+  _handleFile(req, file, cb) {
+    Promise.resolve(getParams(req, file))
+      .then(params => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (params.allowedFormats && !params.allowedFormats.includes(extension.slice(1))) {
+          return cb(new Error(`Only ${params.allowedFormats.join(', ')} files are allowed!`));
+        }
+
+        const visibility = params.visibility === 'private' ? 'private' : 'public';
+        const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+        const key = path.posix.join(visibility, params.folder || '', name);
+        const filePath = resolveFilePath(key);
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const out = fs.createWriteStream(filePath);
+
+        file.stream.pipe(out);
+        out.on('error', cb);
+        out.on('finish', () => cb(null, {
+          path: visibility === 'public' ? publicUrl(key) : undefined,
+          key,
+          filename: name,
+          size: out.bytesWritten
+        }));
+      })
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    deleteFile(file.key).then(() => cb(null), cb);
+  }
+});
+
+// Store an in-memory file such as a processed image rendition
+const saveFile = async (buffer, { folder, name, visibility }) => {
+  const key = path.posix.join(visibility === 'private' ? 'private' : 'public', folder || '', path.basename(name));
+  const filePath = resolveFilePath(key);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return {
+    path: key.startsWith('public/') ? publicUrl(key) : undefined,
+    key,
+    size: buffer.length
+  };
+};
+
+const deleteFile = async (ref) => {
+  const key = toKey(ref);
+  const filePath = key && resolveFilePath(key);
+  if (!filePath) return false;
+
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+const getSignedUrl = async (ref, { expiresIn }) => {
+  const key = toKey(ref);
+  if (!key) return null;
+  if (key.startsWith('public/')) return publicUrl(key);
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const query = new URLSearchParams({ expires, signature: sign(key, expires) });
+  return `${baseUrl}${routePath}/${key}?${query}`;
+};
+
+// Move a public file to the private area; returns its new key
+const makePrivate = async (ref) => {
+  const key = toKey(ref);
+  if (!key) return null;
+  if (key.startsWith('private/')) return key;
+
+  const privateKey = `private/${key.slice('public/'.length)}`;
+  const target = resolveFilePath(privateKey);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await fs.promises.rename(resolveFilePath(key), target);
+  return privateKey;
+};
+
+// Check the expiry and signature of a signed link to a private file
+const verifySignature = (key, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!Number.isFinite(expiresAt) || expiresAt < Date.now() / 1000) return false;
+  if (typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(sign(key, expiresAt));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  owns,
+  createEngine,
+  saveFile,
+  deleteFile,
+  getSignedUrl,
+  makePrivate,
+  verifySignature,
+  resolveFilePath
+};
@@ -0,0 +1,111 @@
+// Fields each role may write through the update routes. Anything else in the
+// request body is rejected so clients cannot set moderation or system fields
+// (approvalStatus, isFeatured, views, owner, ...) on their own records.
+
+// Property fields an owner manages for their own listing. `images` is not one
+// of them: new photos only come from uploads and the gallery is managed
+// through the /images endpoints, so image files and hashes are never
+// client-supplied.
+const PROPERTY_OWNER_FIELDS = [
+  'title',
+  'description',
+  'price',
+  'status',
+  'type',
+  'insertedBy',
+  'govDetails',
+  'disadvantages',
+  'totalArea',
+  'areaUnit',
+  'areaVigha',
+  'areaAcre',
+  'location',
+  'amenities',
+  'contactInfo',
+  'landInfo',
+  // flat land detail fields sent by the property form
+  'fencing',
+  'borewell',
+  'houseOnLand',
+  'electricity',
+  'expectedPricePerUnit',
+  'paymentTerms',
+  'legacyLand'
+];
+
+// Flat contact, location and 7/12 fields sent by the property form and the
+// nested path each one is stored at. A flat field may be written by whoever
+// may write the field it belongs to.
+const PROPERTY_FORM_FIELDS = {
+  contactName: 'contactInfo.name',
+  contactEmail: 'contactInfo.email',
+  contactPhone: 'contactInfo.phone',
+  whatsappNumber: 'contactInfo.whatsappNumber',
+  preferredContact: 'contactInfo.preferredContact',
+  address: 'location.address',
+  city: 'location.city',
+  state: 'location.state',
+  district: 'location.district',
+  taluka: 'location.taluka',
+  village: 'location.village',
+  pincode: 'location.zipCode',
+  zipCode: 'location.zipCode',
+  country: 'location.country',
+  latitude: 'location.coordinates.latitude',
+  longitude: 'location.coordinates.longitude',
+  surveyNumber: 'govDetails.surveyNumber',
+  khaataNumber: 'govDetails.khaataNumber',
+  govArea: 'govDetails.area'
+};
+
+const FORM_FIELDS = {
+  property: PROPERTY_FORM_FIELDS
+};
+
+// The assigned agent markets the listing but cannot change what it is
+const PROPERTY_AGENT_FIELDS = PROPERTY_OWNER_FIELDS
+  .filter(field => !['type', 'insertedBy', 'govDetails'].includes(field));
+
+const AGENT_PROFILE_FIELDS = [
+  'bio',
+  'specialties',
+  'languages',
+  'experience',
+  'company',
+  'socialMedia',
+  'achievements',
+  'responseTime'
+];
+
+const WRITE_POLICIES = {
+  property: {
+    owner: PROPERTY_OWNER_FIELDS,
+    agent: PROPERTY_AGENT_FIELDS,
+    admin: [...PROPERTY_OWNER_FIELDS, 'documents', 'agent', 'owner', 'isFeatured', 'isPublished']
+  },
+  user: {
+    self: ['name', 'phone', 'avatar'],
+    admin: ['name', 'phone', 'avatar', 'email', 'isActive', 'emailVerified']
+  },
+  agent: {
+    self: AGENT_PROFILE_FIELDS,
+    admin: [...AGENT_PROFILE_FIELDS, 'isVerified', 'isActive']
+  }
+};
+
+// Top level fields of `body` the role may not write. Dotted keys such as
+// "location.city" are checked by their first segment and flat form fields by
+// the field they are stored in.
+const getRejectedFields = (resource, role, body) => {
+  const allowed = (WRITE_POLICIES[resource] && WRITE_POLICIES[resource][role]) || [];
+  const formFields = FORM_FIELDS[resource] || {};
+
+  return Object.keys(body || {})
+    .filter(key => !allowed.includes((formFields[key] || key).split('.')[0]));
+};
+
+module.exports = {
+  WRITE_POLICIES,
+  PROPERTY_FORM_FIELDS,
+  getRejectedFields
+};